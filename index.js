@@ -4,11 +4,14 @@ const {
   DisconnectReason,
   initAuthCreds,
   BufferJSON,
-  fetchLatestBaileysVersion
+  fetchLatestBaileysVersion,
+  downloadMediaMessage
 } = require('@whiskeysockets/baileys');
 const P = require('pino');
 const express = require('express');
 const QRCode = require('qrcode');
+const crypto = require('crypto');
+const path = require('path');
 const { createClient } = require('@supabase/supabase-js');
 
 // ========== CONFIG ==========
@@ -17,6 +20,17 @@ const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const ADMIN_JID = process.env.ADMIN_JID;
 const REQUEST_PREFIX = process.env.REQUEST_PREFIX || 'REQ';
+const STORAGE_BUCKET = 'recargas';
+const PENDING_EXPIRY_HOURS = parseFloat(process.env.PENDING_EXPIRY_HOURS) || 24;
+const MAX_MESSAGE_LENGTH = 4000;
+const ADMIN_PAGE_SIZE = 10;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const SUPPLIER_API_URL = process.env.SUPPLIER_API_URL;
+const SUPPLIER_API_TOKEN = process.env.SUPPLIER_API_TOKEN;
+const MAX_OFFER_QUANTITY = 99;
+const LOW_STOCK_THRESHOLD = 5;
+// Reintentos de las actualizaciones condicionales (usos de códigos, stock) al perder una carrera
+const CONDITIONAL_UPDATE_ATTEMPTS = 5;
 
 if (!SUPABASE_URL || !SUPABASE_KEY || !ADMIN_JID) {
   console.error('❌ Faltan variables de entorno. Revisa el .env');
@@ -27,6 +41,7 @@ const logger = P({ level: 'fatal' });
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
 let sock = null;
 let latestQR = null;
+let connectionStatus = 'connecting'; // connecting | open | close
 
 // ========== FUNCIONES AUXILIARES ==========
 function extractText(msg) {
@@ -50,6 +65,76 @@ function emojiToNumber(str) {
   return clean ? parseInt(clean, 10) : null;
 }
 
+// Estados de una solicitud y transiciones permitidas
+const REQUEST_STATUS_LABELS = {
+  pending: '⏳ Pendiente',
+  processing: '🔄 En proceso',
+  completed: '✅ Completada',
+  rejected: '❌ Rechazada',
+  refunded: '💸 Reembolsada',
+  expired: '⌛ Expirada'
+};
+
+const REQUEST_TRANSITIONS = {
+  pending: ['processing', 'completed', 'rejected', 'expired'],
+  processing: ['completed', 'rejected'],
+  completed: ['refunded'],
+  rejected: ['refunded'],
+  refunded: [],
+  expired: []
+};
+
+function canTransition(from, to) {
+  return (REQUEST_TRANSITIONS[from] || []).includes(to);
+}
+
+function formatDate(date, timeZone) {
+  if (!date) return '-';
+  return new Date(date).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short', timeZone });
+}
+
+function formatAge(date) {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h`;
+  return `${Math.floor(hours / 24)} d ${hours % 24} h`;
+}
+
+// Selección de ofertas con cantidades: "1,2", "2x1, 3" (2 de la oferta 1) o "1*2" (oferta 1, dos veces).
+// Las ofertas repetidas se suman. Devuelve [{ number, quantity }] o null si algún elemento no es válido.
+function parseOfferSelection(text) {
+  const normalized = text
+    .replace(/\uFE0F?\u20E3/g, '')
+    .replace(/🔟/g, '10')
+    .replace(/\s*([x×*])\s*/gi, '$1');
+  const tokens = normalized.split(/[,;\s]+/).filter(Boolean);
+  const selection = [];
+  for (const token of tokens) {
+    let match = token.match(/^(\d+)[x×](\d+)$/i);
+    let number;
+    let quantity;
+    if (match) {
+      quantity = parseInt(match[1], 10);
+      number = parseInt(match[2], 10);
+    } else if ((match = token.match(/^(\d+)\*(\d+)$/))) {
+      number = parseInt(match[1], 10);
+      quantity = parseInt(match[2], 10);
+    } else if (/^\d+$/.test(token)) {
+      number = parseInt(token, 10);
+      quantity = 1;
+    } else {
+      return null;
+    }
+    if (!number || !quantity || quantity > MAX_OFFER_QUANTITY) return null;
+    const existing = selection.find(s => s.number === number);
+    if (existing) existing.quantity += quantity;
+    else selection.push({ number, quantity });
+  }
+  if (selection.some(s => s.quantity > MAX_OFFER_QUANTITY)) return null;
+  return selection;
+}
+
 function generateRequestId() {
   return `${REQUEST_PREFIX}-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
 }
@@ -67,6 +152,20 @@ function containsOfertas(text) {
   return /oferta(s)?|oferts?/.test(normalized);
 }
 
+// Disponibilidad de juegos y ofertas: pausados (active = false) o sin stock (stock = 0).
+// Un stock null significa sin límite.
+function isPaused(item) {
+  return item.active === false;
+}
+
+function isSoldOut(item) {
+  return item.stock !== null && item.stock !== undefined && Number(item.stock) <= 0;
+}
+
+function isAvailable(item) {
+  return !isPaused(item) && !isSoldOut(item);
+}
+
 // ========== ACCESO A DATOS ==========
 async function getGames() {
   const { data, error } = await supabase.from('games').select('*').order('number', { ascending: true });
@@ -96,6 +195,26 @@ async function updateGame(gameId, updates) {
   if (error) throw error;
 }
 
+// Resta del stock de un juego u oferta solo si nadie lo cambió a la vez (si no, relee y
+// reintenta). Devuelve el stock resultante, o null si no lleva control de stock.
+async function decrementStock(table, id, quantity) {
+  for (let attempt = 0; attempt < CONDITIONAL_UPDATE_ATTEMPTS; attempt++) {
+    const { data: row, error: readError } = await supabase.from(table).select('stock').eq('id', id).maybeSingle();
+    if (readError) throw readError;
+    if (!row || row.stock === null || row.stock === undefined) return null;
+    const stock = Math.max(row.stock - quantity, 0);
+    const { data, error } = await supabase
+      .from(table)
+      .update({ stock })
+      .eq('id', id)
+      .eq('stock', row.stock)
+      .select();
+    if (error) throw error;
+    if ((data || []).length > 0) return stock;
+  }
+  throw new Error(`No se pudo actualizar el stock de ${table} ${id}: demasiados cambios simultáneos`);
+}
+
 async function deleteGame(gameId) {
   const { error } = await supabase.from('games').delete().eq('id', gameId);
   if (error) throw error;
@@ -191,16 +310,22 @@ async function getGameFields(gameId) {
   return data || [];
 }
 
-async function createGameField(gameId, fieldName, fieldOrder, required = true) {
+async function createGameField(gameId, fieldName, fieldOrder, required = true, options = {}) {
   const { error } = await supabase.from('game_fields').insert({
     game_id: gameId,
     field_name: fieldName,
     field_order: fieldOrder,
-    required
+    required,
+    ...options
   });
   if (error) throw error;
 }
 
+async function updateGameField(fieldId, updates) {
+  const { error } = await supabase.from('game_fields').update(updates).eq('id', fieldId);
+  if (error) throw error;
+}
+
 async function deleteGameField(gameId, fieldName) {
   const { error } = await supabase.from('game_fields').delete().eq('game_id', gameId).eq('field_name', fieldName);
   if (error) throw error;
@@ -230,6 +355,31 @@ async function updateUserSession(userJid, updates) {
   if (error) throw error;
 }
 
+// Perfiles de jugador guardados (últimos datos usados por cliente y juego)
+async function getPlayerProfile(userJid, gameId) {
+  const { data, error } = await supabase.from('player_profiles').select('*').eq('user_jid', userJid).eq('game_id', gameId).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function getPlayerProfiles(userJid) {
+  const { data, error } = await supabase.from('player_profiles').select('*').eq('user_jid', userJid).order('updated_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+async function savePlayerProfile(userJid, gameId, fieldValues) {
+  const { error } = await supabase
+    .from('player_profiles')
+    .upsert({ user_jid: userJid, game_id: gameId, field_values: fieldValues, updated_at: new Date() }, { onConflict: 'user_jid,game_id' });
+  if (error) throw error;
+}
+
+async function deletePlayerProfile(id) {
+  const { error } = await supabase.from('player_profiles').delete().eq('id', id);
+  if (error) throw error;
+}
+
 // Solicitudes
 async function createRequest(requestId, data) {
   const { error } = await supabase.from('requests').insert({ id: requestId, ...data });
@@ -242,12 +392,366 @@ async function getRequest(requestId) {
   return data;
 }
 
-async function completeRequest(requestId) {
-  const { error } = await supabase
+async function getLatestPendingRequest(userJid) {
+  const { data, error } = await supabase
+    .from('requests')
+    .select('*')
+    .eq('user_jid', userJid)
+    .eq('status', 'pending')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function getRequestsByUser(userJid, limit = 10) {
+  const { data, error } = await supabase
+    .from('requests')
+    .select('*')
+    .eq('user_jid', userJid)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+// Solicitudes abiertas (pendientes o en proceso), las más antiguas primero
+async function getOpenRequests(offset = 0, limit = ADMIN_PAGE_SIZE) {
+  const { data, error, count } = await supabase
+    .from('requests')
+    .select('*', { count: 'exact' })
+    .in('status', ['pending', 'processing'])
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+  if (error) throw error;
+  return { requests: data || [], total: count || 0 };
+}
+
+async function searchRequestsByPhone(digits, limit = 20) {
+  const { data, error } = await supabase
+    .from('requests')
+    .select('*')
+    .like('user_jid', `%${digits}%`)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+async function updateRequest(requestId, updates) {
+  const { error } = await supabase.from('requests').update(updates).eq('id', requestId);
+  if (error) throw error;
+}
+
+// Los cambios de estado solo se aplican si la solicitud sigue en fromStatus;
+// devuelven false si otro admin o la expiración se adelantaron
+async function completeRequest(requestId, fromStatus) {
+  const now = new Date();
+  const { data, error } = await supabase
+    .from('requests')
+    .update({ status: 'completed', completed_at: now, status_changed_at: now })
+    .eq('id', requestId)
+    .eq('status', fromStatus)
+    .select();
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+async function setRequestStatus(requestId, fromStatus, status, extra = {}) {
+  const { data, error } = await supabase
+    .from('requests')
+    .update({ status, status_changed_at: new Date(), ...extra })
+    .eq('id', requestId)
+    .eq('status', fromStatus)
+    .select();
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Asigna la solicitud solo si nadie la ha tomado (o si se fuerza la reasignación)
+async function claimRequest(requestId, adminJid, force = false) {
+  let query = supabase
     .from('requests')
-    .update({ status: 'completed', completed_at: new Date() })
+    .update({ claimed_by: adminJid, claimed_at: new Date() })
     .eq('id', requestId);
+  if (!force) query = query.is('claimed_by', null);
+  const { data, error } = await query.select();
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Todas las solicitudes creadas en [from, to), paginando de 1000 en 1000
+async function getRequestsBetween(from, to) {
+  const pageSize = 1000;
+  const all = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await supabase
+      .from('requests')
+      .select('*')
+      .gte('created_at', from.toISOString())
+      .lt('created_at', to.toISOString())
+      .order('created_at', { ascending: true })
+      .range(offset, offset + pageSize - 1);
+    if (error) throw error;
+    all.push(...(data || []));
+    if (!data || data.length < pageSize) break;
+  }
+  return all;
+}
+
+// Marca la solicitud como enviándose al proveedor solo si nadie lo ha hecho ya.
+// Devuelve false si otro /completar (o el panel, o la API) se adelantó.
+async function claimFulfillment(requestId) {
+  const { data, error } = await supabase
+    .from('requests')
+    .update({ fulfillment: { status: 'placing', orders: [], updated_at: new Date().toISOString() } })
+    .eq('id', requestId)
+    .is('fulfillment', null)
+    .select();
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Da por fallido un envío al proveedor que se quedó en 'placing' (error o reinicio a mitad).
+// Devuelve false si entretanto el envío terminó y ya guardó su estado.
+async function failPlacingFulfillment(requestId, message) {
+  const { data, error } = await supabase
+    .from('requests')
+    .update({ fulfillment: { status: 'failed', orders: [], message, updated_at: new Date().toISOString() } })
+    .eq('id', requestId)
+    .eq('fulfillment->>status', 'placing')
+    .select();
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Solicitudes que llevan en 'placing' desde antes de la fecha dada
+async function getStalePlacingRequests(before) {
+  const { data, error } = await supabase
+    .from('requests')
+    .select('*')
+    .eq('fulfillment->>status', 'placing');
+  if (error) throw error;
+  return (data || []).filter(r => new Date(r.fulfillment.updated_at) < before);
+}
+
+// Solicitudes con pedidos al proveedor todavía en curso
+async function getFulfillingRequests() {
+  const { data, error } = await supabase
+    .from('requests')
+    .select('*')
+    .eq('status', 'processing')
+    .eq('fulfillment->>status', 'pending');
+  if (error) throw error;
+  return data || [];
+}
+
+// Solicitudes creadas fuera de horario que aún no se han enviado a los admins
+async function getQueuedRequests() {
+  const { data, error } = await supabase
+    .from('requests')
+    .select('*')
+    .eq('admin_notified', false)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+// Pendientes sin captura de pago creadas antes de `before`
+async function getStalePendingRequests(before) {
+  const { data, error } = await supabase
+    .from('requests')
+    .select('*')
+    .eq('status', 'pending')
+    .is('screenshot_url', null)
+    .lt('created_at', before.toISOString());
+  if (error) throw error;
+  return data || [];
+}
+
+// Capturas de pago
+async function uploadScreenshot(requestId, buffer, mimetype) {
+  const ext = (mimetype || 'image/jpeg').split('/')[1].split(';')[0];
+  const path = `capturas/${requestId}-${Date.now()}.${ext}`;
+  const { error } = await supabase.storage.from(STORAGE_BUCKET).upload(path, buffer, {
+    contentType: mimetype || 'image/jpeg',
+    upsert: true
+  });
+  if (error) throw error;
+  const { data } = supabase.storage.from(STORAGE_BUCKET).getPublicUrl(path);
+  return data.publicUrl;
+}
+
+// Ajustes generales (clave/valor)
+async function getSetting(key, defaultValue = null) {
+  const { data, error } = await supabase.from('settings').select('value').eq('key', key).maybeSingle();
+  if (error) throw error;
+  return data ? data.value : defaultValue;
+}
+
+async function setSetting(key, value) {
+  const { error } = await supabase.from('settings').upsert({ key, value, updated_at: new Date() }, { onConflict: 'key' });
+  if (error) throw error;
+}
+
+async function getAutoPricedOffers() {
+  const { data, error } = await supabase.from('offers').select('*').eq('auto_price', true);
+  if (error) throw error;
+  return data || [];
+}
+
+// Administradores
+async function getAdmins() {
+  const { data, error } = await supabase.from('admins').select('*').order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+async function getAdminByJid(jid) {
+  const { data, error } = await supabase.from('admins').select('*').eq('jid', jid).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function upsertAdmin(jid, role) {
+  const { error } = await supabase.from('admins').upsert({ jid, role }, { onConflict: 'jid' });
+  if (error) throw error;
+}
+
+async function deleteAdmin(jid) {
+  const { error } = await supabase.from('admins').delete().eq('jid', jid);
+  if (error) throw error;
+}
+
+// Claves de la API REST (solo se guarda el hash SHA-256)
+async function getApiKeys() {
+  const { data, error } = await supabase.from('api_keys').select('*').order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+async function getApiKeyByHash(keyHash) {
+  const { data, error } = await supabase.from('api_keys').select('*').eq('key_hash', keyHash).is('revoked_at', null).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function createApiKey(name, keyHash, scopes) {
+  const { data, error } = await supabase.from('api_keys').insert({ name, key_hash: keyHash, scopes }).select().single();
+  if (error) throw error;
+  return data;
+}
+
+async function updateApiKey(id, updates) {
+  const { error } = await supabase.from('api_keys').update(updates).eq('id', id);
+  if (error) throw error;
+}
+
+// Códigos promocionales (el código se guarda en mayúsculas)
+async function getPromoCodes() {
+  const { data, error } = await supabase.from('promo_codes').select('*').order('created_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+async function getPromoCode(code) {
+  const { data, error } = await supabase.from('promo_codes').select('*').eq('code', code.toUpperCase()).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function createPromoCode(promo) {
+  const { error } = await supabase.from('promo_codes').insert(promo);
+  if (error) throw error;
+}
+
+async function updatePromoCode(code, updates) {
+  const { error } = await supabase.from('promo_codes').update(updates).eq('code', code);
+  if (error) throw error;
+}
+
+// Suma un uso solo si nadie lo ha usado a la vez; devuelve false si se perdió la carrera
+async function redeemPromoCode(promo) {
+  const { data, error } = await supabase
+    .from('promo_codes')
+    .update({ uses: (promo.uses || 0) + 1 })
+    .eq('code', promo.code)
+    .eq('uses', promo.uses || 0)
+    .select();
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Devuelve un uso (sin bajar de 0) cuando la solicitud que lo gastó no sigue adelante
+async function releasePromoCode(code) {
+  for (let attempt = 0; attempt < CONDITIONAL_UPDATE_ATTEMPTS; attempt++) {
+    const promo = await getPromoCode(code);
+    if (!promo || !(promo.uses > 0)) return;
+    const { data, error } = await supabase
+      .from('promo_codes')
+      .update({ uses: promo.uses - 1 })
+      .eq('code', promo.code)
+      .eq('uses', promo.uses)
+      .select();
+    if (error) throw error;
+    if ((data || []).length > 0) return;
+  }
+}
+
+// Webhooks salientes y su registro de entregas
+async function getWebhooks() {
+  const { data, error } = await supabase.from('webhooks').select('*').order('id', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+async function getWebhookById(id) {
+  const { data, error } = await supabase.from('webhooks').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function createWebhook(url, secret, events) {
+  const { data, error } = await supabase.from('webhooks').insert({ url, secret, events, active: true }).select().single();
+  if (error) throw error;
+  return data;
+}
+
+async function deleteWebhook(id) {
+  const { error } = await supabase.from('webhooks').delete().eq('id', id);
+  if (error) throw error;
+}
+
+async function createWebhookDelivery(delivery) {
+  const { data, error } = await supabase.from('webhook_deliveries').insert(delivery).select().single();
+  if (error) throw error;
+  return data;
+}
+
+async function updateWebhookDelivery(id, updates) {
+  const { error } = await supabase.from('webhook_deliveries').update(updates).eq('id', id);
+  if (error) throw error;
+}
+
+async function getDueWebhookDeliveries() {
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('created_at', { ascending: true })
+    .limit(50);
   if (error) throw error;
+  return data || [];
+}
+
+async function getWebhookDeliveries(webhookId = null, limit = 15) {
+  let query = supabase.from('webhook_deliveries').select('*').order('created_at', { ascending: false }).limit(limit);
+  if (webhookId) query = query.eq('webhook_id', webhookId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
 }
 
 // Diálogos de admin
@@ -324,40 +828,423 @@ const useSupabaseAuthState = async () => {
   };
 };
 
+// ========== ROLES DE ADMINISTRADOR ==========
+// ADMIN_JID es siempre propietario; el resto de admins vive en la tabla `admins`
+const ADMIN_ROLES = ['owner', 'operator'];
+const ADMIN_ROLE_LABELS = { owner: 'propietario', operator: 'operador' };
+const OPERATOR_COMMANDS = ['/tomar', '/completar', '/rechazar', '/procesando', '/pendientes', '/solicitud', '/buscar', '/cancelar'];
+
+async function getAdminRole(jid) {
+  if (jid === ADMIN_JID) return 'owner';
+  const admin = await getAdminByJid(jid);
+  return admin ? admin.role : null;
+}
+
+function canRunCommand(role, command) {
+  return role === 'owner' || OPERATOR_COMMANDS.includes(command);
+}
+
+function normalizeJid(input) {
+  if (input.includes('@')) return input;
+  return `${input.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+}
+
+async function getAdminJids() {
+  const admins = await getAdmins();
+  return [...new Set([ADMIN_JID, ...admins.map(a => a.jid)])];
+}
+
 // ========== ENVÍO DE MENSAJES ==========
 async function sendMessage(jid, text, quoted = null) {
   return sock.sendMessage(jid, { text }, { quoted });
 }
 
+// Divide textos largos por líneas para no superar el límite de WhatsApp
+async function sendLongMessage(jid, text) {
+  const chunks = [];
+  let current = '';
+  for (const line of text.split('\n')) {
+    if (current && current.length + line.length + 1 > MAX_MESSAGE_LENGTH) {
+      chunks.push(current);
+      current = '';
+    }
+    current += (current ? '\n' : '') + line;
+  }
+  if (current) chunks.push(current);
+  for (const chunk of chunks) {
+    await sendMessage(jid, chunk);
+  }
+}
+
+// Envía el mismo contenido a todos los administradores
+// exceptJid: admin que provocó el aviso y no necesita recibirlo
+async function notifyAdmins(content, exceptJid = null) {
+  const jids = (await getAdminJids()).filter(adminJid => adminJid !== exceptJid);
+  for (const adminJid of jids) {
+    try {
+      await sock.sendMessage(adminJid, typeof content === 'string' ? { text: content } : content);
+    } catch (err) {
+      console.error(`Error notificando a ${adminJid}:`, err.message);
+    }
+  }
+}
+
 async function sendWithCancelHint(jid, text) {
   return sendMessage(jid, text + '\n\n_Puedes escribir "cancelar" para volver al inicio._');
 }
 
-// ========== FLUJO DEL CLIENTE ==========
-async function handleClientMessage(msg, jid, text) {
-  const session = await getUserSession(jid);
-  const lower = text.trim().toLowerCase();
+// Mensajes al cliente según el nuevo estado de su solicitud
+function requestStatusMessage(request, status, reason) {
+  const item = `*${request.game_name}* - *${request.offer_desc}*`;
+  switch (status) {
+    case 'processing':
+      return `🔄 Tu solicitud #${request.id} (${item}) está siendo procesada.`;
+    case 'completed':
+      return `✅ ¡Tu recarga de ${item} se ha completado! Gracias.`;
+    case 'rejected':
+      return `❌ Tu solicitud #${request.id} (${item}) fue rechazada.${reason ? `\nMotivo: ${reason}` : ''}`;
+    case 'refunded':
+      return `💸 Tu pago de la solicitud #${request.id} (${item}) fue reembolsado.`;
+    case 'expired':
+      return `⌛ Tu solicitud #${request.id} (${item}) expiró porque no recibimos la captura de pago en ${PENDING_EXPIRY_HOURS} horas. Escribe cualquier mensaje para hacer un nuevo pedido.`;
+    default:
+      return `ℹ️ Tu solicitud #${request.id} cambió a: ${REQUEST_STATUS_LABELS[status] || status}`;
+  }
+}
 
-  // Detectar palabra "oferta" para reiniciar
-  if (containsOfertas(text) && session.step !== 'idle') {
-    await sendMainMenu(jid);
-    await updateUserSession(jid, { step: 'idle', selected_game: null, selected_offers: null, field_values: null, current_field: null, request_id: null });
-    return;
+// Estados que solo puede aplicar el admin que tomó la solicitud
+const CLAIMED_STATUSES = ['processing', 'completed', 'rejected'];
+
+function formatAdmin(jid) {
+  return `+${jid.split('@')[0]}`;
+}
+
+// Cambia el estado validando la transición y avisa al cliente
+async function transitionRequest(adminJid, requestId, status, reason = null) {
+  const result = await changeRequestStatus(requestId, status, reason, adminJid);
+  if (result.error) {
+    await sendMessage(adminJid, result.error);
+    return null;
   }
+  // Si el proveedor ya respondió, settleFulfillment ha avisado a los admins
+  if (result.fulfillment) {
+    if (result.fulfillment === 'pending') {
+      await sendMessage(adminJid, `🤖 Solicitud ${requestId} enviada al proveedor. Se completará sola cuando confirme la recarga; si falla volverá a la cola manual.`);
+    }
+    return result.request;
+  }
+  let reply = `✅ Solicitud ${requestId} marcada como ${REQUEST_STATUS_LABELS[status]} y usuario notificado.`;
+  if (result.soldOut.length) reply += `\n⚠️ Se agotó el stock de: ${result.soldOut.join(', ')}`;
+  await sendMessage(adminJid, reply);
+  return result.request;
+}
 
-  if (lower === 'cancelar') {
-    await updateUserSession(jid, { step: 'idle', selected_game: null, selected_offers: null, field_values: null, current_field: null, request_id: null });
-    await sendMainMenu(jid);
-    return;
+// Aplica el cambio de estado y avisa al cliente. Devuelve { request, soldOut } o { code, error }
+// (code: not_found, invalid_transition, claimed, fulfillment_in_progress, fulfillment_error o conflict).
+// Sin adminJid (panel web) no se comprueba quién tiene tomada la solicitud.
+async function changeRequestStatus(requestId, status, reason = null, adminJid = null) {
+  const request = await getRequest(requestId);
+  if (!request) return { code: 'not_found', error: '❌ Solicitud no encontrada.' };
+  const conflict = { code: 'conflict', error: `⚠️ La solicitud ${requestId} cambió de estado mientras tanto. Revísala con /solicitud ${requestId}.` };
+  if (!canTransition(request.status, status)) {
+    const current = REQUEST_STATUS_LABELS[request.status] || request.status;
+    return { code: 'invalid_transition', error: `❌ No se puede pasar la solicitud de ${current} a ${REQUEST_STATUS_LABELS[status]}.` };
+  }
+  if (adminJid && CLAIMED_STATUSES.includes(status) && request.claimed_by && request.claimed_by !== adminJid) {
+    return { code: 'claimed', error: `⛔ La solicitud ${requestId} la tiene tomada ${formatAdmin(request.claimed_by)}. Solo ese admin puede gestionarla.` };
+  }
+  // Mientras el proveedor trabaja no se puede completar a mano: sería una doble recarga
+  if (status === 'completed' && ['placing', 'pending'].includes(request.fulfillment?.status)) {
+    return { code: 'fulfillment_in_progress', error: `⏳ La recarga automática de ${requestId} está en curso. Espera a que el proveedor responda.` };
   }
+  // Si todo el pedido tiene proveedor, aprobarlo lo envía al proveedor en vez de completarlo.
+  // Tras un fallo del proveedor (fulfillment ya guardado) se completa a mano como siempre.
+  if (status === 'completed' && !request.fulfillment) {
+    const plan = await getFulfillmentPlan(request);
+    if (plan) {
+      if (!(await claimFulfillment(requestId))) {
+        return { code: 'fulfillment_in_progress', error: `⏳ La solicitud ${requestId} ya se está enviando al proveedor.` };
+      }
+      // Cualquier error a partir de aquí deja la recarga como fallida para que se pueda
+      // completar a mano; si no, /completar quedaría bloqueado para siempre
+      try {
+        if (request.status !== 'processing') {
+          if (!(await setRequestStatus(requestId, request.status, 'processing'))) {
+            await updateRequest(requestId, { fulfillment: null });
+            return conflict;
+          }
+          await sendMessage(request.user_jid, requestStatusMessage(request, 'processing'));
+          await emitWebhookEvent('request.processing', requestId);
+        }
+        const fulfillment = await startFulfillment(request, plan);
+        return { request, soldOut: [], fulfillment };
+      } catch (err) {
+        console.error(`Error enviando ${requestId} al proveedor:`, err.message);
+        await abandonFulfillment(request, err.message);
+        return { code: 'fulfillment_error', error: `⚠️ Hubo un error enviando ${requestId} al proveedor (${err.message}). Revisa su estado con /solicitud ${requestId}.` };
+      }
+    }
+  }
+  let soldOut = [];
+  if (status === 'completed') {
+    if (!(await completeRequest(requestId, request.status))) return conflict;
+    soldOut = await consumeStock(request);
+  } else {
+    if (!(await setRequestStatus(requestId, request.status, status, reason ? { status_reason: reason } : {}))) return conflict;
+    await releaseRequestPromo(request, status);
+  }
+  await sendMessage(request.user_jid, requestStatusMessage(request, status, reason));
+  await emitWebhookEvent(`request.${status}`, requestId);
+  return { request, soldOut };
+}
 
-  if (lower === 'volver') {
-    await handleBack(jid, session);
-    return;
+// Descuenta del stock de ofertas y juegos lo vendido en una solicitud completada.
+// Devuelve los nombres de lo que se quedó sin stock.
+async function consumeStock(request) {
+  const soldOut = [];
+  const gameUnits = {};
+  for (const item of requestItems(request)) {
+    if (!item.offer_id) continue;
+    const offer = await getOfferById(item.offer_id);
+    if (!offer) continue;
+    const quantity = item.quantity || 1;
+    gameUnits[offer.game_id] = (gameUnits[offer.game_id] || 0) + quantity;
+    if (offer.stock === null || offer.stock === undefined) continue;
+    const stock = await decrementStock('offers', offer.id, quantity);
+    if (stock === 0) soldOut.push(offer.description);
+  }
+  for (const [gameId, units] of Object.entries(gameUnits)) {
+    const game = await getGameById(Number(gameId));
+    if (!game || game.stock === null || game.stock === undefined) continue;
+    const stock = await decrementStock('games', game.id, units);
+    if (stock === 0) soldOut.push(game.name);
   }
+  return soldOut;
+}
 
-  switch (session.step) {
+function formatRequestForClient(request) {
+  let text = `🆔 *${request.id}*\n`;
+  text += `🎮 ${request.game_name}\n`;
+  text += `💰 ${request.offer_desc}\n`;
+  text += `📌 Estado: ${REQUEST_STATUS_LABELS[request.status] || request.status}\n`;
+  text += `🕒 Creada: ${formatDate(request.created_at)}\n`;
+  if (request.completed_at) {
+    text += `🏁 Completada: ${formatDate(request.completed_at)}\n`;
+  } else if (request.status_changed_at) {
+    text += `🔁 Último cambio: ${formatDate(request.status_changed_at)}\n`;
+  }
+  if (request.status_reason) text += `📝 Motivo: ${request.status_reason}\n`;
+  return text;
+}
+
+async function expireStaleRequests() {
+  if (!sock) return;
+  const before = new Date(Date.now() - PENDING_EXPIRY_HOURS * 60 * 60 * 1000);
+  const requests = await getStalePendingRequests(before);
+  for (const request of requests) {
+    try {
+      // Si un admin la movió mientras tanto, ya no se expira
+      if (!(await setRequestStatus(request.id, 'pending', 'expired'))) continue;
+      await releaseRequestPromo(request, 'expired');
+      await sendMessage(request.user_jid, requestStatusMessage(request, 'expired'));
+      await emitWebhookEvent('request.expired', request.id);
+      console.log(`⌛ Solicitud ${request.id} expirada`);
+    } catch (err) {
+      console.error(`Error expirando solicitud ${request.id}:`, err.message);
+    }
+  }
+}
+
+// ========== CAMPOS DE JUEGO ==========
+// Tipos de campo: nombre en el comando de admin -> valor guardado en game_fields.field_type
+const FIELD_TYPES = {
+  numero: 'number',
+  email: 'email',
+  texto: 'text',
+  opciones: 'choice'
+};
+
+const FIELD_TYPE_LABELS = { number: 'ID numérico', email: 'email', text: 'texto', choice: 'opciones' };
+
+// Opciones de "/campos agregar # nombre | tipo=numero | min=8 | ...": { name, options, error }
+// regex= va al final y se toma entero, para que el patrón pueda usar "|"
+function parseFieldDefinition(text) {
+  const regexAt = text.search(/\|\s*regex\s*=/i);
+  const head = regexAt === -1 ? text : text.slice(0, regexAt);
+  const [name, ...settings] = head.split('|').map(p => p.trim());
+  if (regexAt !== -1) settings.push(text.slice(regexAt + 1).trim());
+  const options = { field_type: 'text', required: true };
+  for (const setting of settings) {
+    const [rawKey, ...rest] = setting.split('=');
+    const key = rawKey.trim().toLowerCase();
+    const value = rest.join('=').trim();
+    if (key === 'opcional') {
+      options.required = false;
+    } else if (key === 'tipo') {
+      if (!FIELD_TYPES[value.toLowerCase()]) return { error: `Tipo "${value}" no válido. Usa: ${Object.keys(FIELD_TYPES).join(', ')}.` };
+      options.field_type = FIELD_TYPES[value.toLowerCase()];
+    } else if (key === 'opciones') {
+      options.choices = value.split(',').map(c => c.trim()).filter(Boolean);
+    } else if (key === 'regex') {
+      const problem = patternProblem(value);
+      if (problem) return { error: `Regex inválida: ${problem}` };
+      options.pattern = value;
+    } else if (key === 'min' || key === 'max') {
+      const n = parseInt(value, 10);
+      if (!(n >= 0)) return { error: `Valor de ${key} inválido.` };
+      options[key === 'min' ? 'min_length' : 'max_length'] = n;
+    } else if (key === 'ayuda') {
+      options.help_text = value;
+    } else {
+      return { error: `Opción "${rawKey.trim()}" no reconocida.` };
+    }
+  }
+  if (!name) return { error: 'Falta el nombre del campo.' };
+  if (options.choices && options.field_type === 'text') options.field_type = 'choice';
+  if (options.field_type === 'choice' && !(options.choices || []).length) {
+    return { error: 'Un campo de tipo opciones necesita "opciones=a,b,c".' };
+  }
+  return { name, options };
+}
+
+// Motivo por el que un patrón no compila, o null si es válido
+function patternProblem(pattern) {
+  try {
+    new RegExp(pattern);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+function formatFieldRules(field) {
+  const rules = [FIELD_TYPE_LABELS[field.field_type] || 'texto'];
+  rules.push(field.required === false ? 'opcional' : 'obligatorio');
+  if (field.min_length) rules.push(`mín. ${field.min_length}`);
+  if (field.max_length) rules.push(`máx. ${field.max_length}`);
+  if (field.pattern) rules.push(`regex ${field.pattern}`);
+  if (field.choices?.length) rules.push(`opciones: ${field.choices.join(', ')}`);
+  return rules.join(', ');
+}
+
+// Valida la respuesta del cliente; devuelve { value } o { error }
+function validateFieldValue(field, input) {
+  let value = input.trim();
+  if (!value) return { error: '❌ El valor no puede estar vacío.' };
+  switch (field.field_type) {
+    case 'number':
+      value = value.replace(/[\s-]/g, '');
+      if (!/^\d+$/.test(value)) return { error: `❌ *${field.field_name}* debe contener solo números.` };
+      break;
+    case 'email':
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return { error: `❌ *${field.field_name}* debe ser un email válido (ej: nombre@correo.com).` };
+      break;
+    case 'choice': {
+      const choices = field.choices || [];
+      const index = /^\d+$/.test(value) ? parseInt(value, 10) - 1 : -1;
+      const match = choices[index] || choices.find(c => c.toLowerCase() === value.toLowerCase());
+      if (!match) return { error: `❌ Opción no válida. Responde con el número de una de las opciones de *${field.field_name}*.` };
+      value = match;
+      break;
+    }
+    default:
+      break;
+  }
+  if (field.min_length && value.length < field.min_length) {
+    return { error: `❌ *${field.field_name}* debe tener al menos ${field.min_length} caracteres.` };
+  }
+  if (field.max_length && value.length > field.max_length) {
+    return { error: `❌ *${field.field_name}* debe tener como máximo ${field.max_length} caracteres.` };
+  }
+  // Un patrón roto guardado en la base de datos se ignora en vez de bloquear el pedido
+  if (field.pattern && !patternProblem(field.pattern) && !new RegExp(field.pattern).test(value)) {
+    return { error: `❌ El formato de *${field.field_name}* no es válido.${field.help_text ? `\n💡 ${field.help_text}` : ''}` };
+  }
+  return { value };
+}
+
+function formatFieldPrompt(field, first) {
+  let text = `✏️ ${first ? 'Por favor, envía' : 'Ahora, envía'} tu *${field.field_name}*:`;
+  if (field.help_text) text += `\n💡 ${field.help_text}`;
+  if (field.field_type === 'choice') {
+    (field.choices || []).forEach((c, i) => {
+      text += `\n${numberToEmoji(i + 1)} ${c}`;
+    });
+  }
+  if (field.required === false) text += '\n_(Opcional: escribe "omitir" para saltarlo)_';
+  return text;
+}
+
+// ========== FLUJO DEL CLIENTE ==========
+// Campos de la sesión que describen el pedido en curso
+const EMPTY_ORDER = { selected_game: null, selected_offers: null, field_values: null, current_field: null, request_id: null, cart: null, promo_code: null };
+
+async function handleClientMessage(msg, jid, text) {
+  // Una imagen con una solicitud pendiente se toma como captura de pago
+  if (msg.message?.imageMessage) {
+    const handled = await handleClientScreenshot(msg, jid);
+    if (handled) return;
+  }
+
+  const session = await getUserSession(jid);
+  const lower = text.trim().toLowerCase();
+
+  // Detectar palabra "oferta" para reiniciar
+  if (containsOfertas(text) && session.step !== 'idle') {
+    await updateUserSession(jid, { step: 'awaiting_game', ...EMPTY_ORDER });
+    await sendMainMenu(jid);
+    return;
+  }
+
+  if (lower === 'cancelar') {
+    await updateUserSession(jid, { step: 'awaiting_game', ...EMPTY_ORDER });
+    await sendMainMenu(jid);
+    return;
+  }
+
+  if (lower === 'volver') {
+    await handleBack(jid, session);
+    return;
+  }
+
+  // Consultas de estado, no alteran el paso actual de la sesión
+  if (lower === 'estado' || lower === 'mis pedidos' || lower.startsWith('estado ')) {
+    await handleOrderStatusQuery(jid, text.trim());
+    return;
+  }
+
+  // Repetir la última compra
+  if (lower === 'repetir') {
+    await handleRepeatLastOrder(jid);
+    return;
+  }
+
+  // Perfiles de jugador guardados
+  if (lower === 'mis perfiles' || /^borrar perfil\s+\S+$/.test(lower)) {
+    await handleProfileCommand(jid, lower);
+    return;
+  }
+
+  // Carrito
+  if (lower === 'ver carrito') {
+    await sendCartMenu(jid, session.cart || []);
+    if ((session.cart || []).length > 0) await updateUserSession(jid, { step: 'awaiting_cart_action' });
+    return;
+  }
+  // Códigos promocionales
+  if (/^(promo|cup[oó]n)\s+\S+$/.test(lower) || lower === 'quitar promo') {
+    await handlePromoInput(jid, session, lower);
+    return;
+  }
+  if (lower === 'agregar otro juego' && (session.cart || []).length > 0) {
+    await updateUserSession(jid, { step: 'awaiting_game', selected_game: null, selected_offers: null, field_values: null, current_field: null });
+    await sendMainMenu(jid);
+    return;
+  }
+
+  switch (session.step) {
     case 'idle':
+      await updateUserSession(jid, { step: 'awaiting_game' });
       await sendMainMenu(jid);
       break;
 
@@ -368,32 +1255,25 @@ async function handleClientMessage(msg, jid, text) {
         return;
       }
       const game = await getGameByNumber(gameNumber);
-      if (!game) {
+      if (!game || isPaused(game)) {
         await sendWithCancelHint(jid, '❌ Ese juego no existe. Elige un número de la lista.');
         return;
       }
-      const offers = await getOffersByGameId(game.id);
-      if (offers.length === 0) {
-        await sendWithCancelHint(jid, '❌ Este juego no tiene ofertas aún. Contacta al admin.');
+      if (isSoldOut(game)) {
+        await sendWithCancelHint(jid, `❌ *${game.name}* está agotado por ahora. Elige otro juego.`);
         return;
       }
-      let offerText = `*${game.name}*\n\nOfertas disponibles:\n`;
-      offers.forEach(o => {
-        offerText += `${numberToEmoji(o.number)} ${o.description} — 💳 ${o.price_card} CUP / 📲 ${o.price_mobile} CUP`;
-        if (o.price_usd) offerText += ` / 💵 ${o.price_usd} USD`;
-        offerText += '\n';
-      });
-      offerText += '\nResponde con los *números* de las ofertas que deseas (separados por coma o espacio). Ej: 1,2 o 1 2';
-      await sendWithCancelHint(jid, offerText);
+      const sent = await sendOfferList(jid, game);
+      if (!sent) return;
       await updateUserSession(jid, { step: 'awaiting_offers', selected_game: gameNumber });
       break;
     }
 
     case 'awaiting_offers': {
-      // Parsear múltiples números
-      const numbers = text.split(/[,\s]+/).map(s => emojiToNumber(s)).filter(n => n !== null);
-      if (numbers.length === 0) {
-        await sendWithCancelHint(jid, '❌ No se reconocieron números. Intenta de nuevo.');
+      // Parsear ofertas y cantidades
+      const selection = parseOfferSelection(text);
+      if (!selection || selection.length === 0) {
+        await sendWithCancelHint(jid, `❌ No se reconoció la selección. Usa los números de las ofertas, con cantidad si quieres varias: 1,2 o 2x1 o 1*2 (máximo ${MAX_OFFER_QUANTITY} por oferta).`);
         return;
       }
       const game = await getGameByNumber(session.selected_game);
@@ -405,13 +1285,21 @@ async function handleClientMessage(msg, jid, text) {
       // Verificar que todos los números correspondan a ofertas existentes
       const offers = await getOffersByGameId(game.id);
       const selectedOffers = [];
-      for (const num of numbers) {
-        const offer = offers.find(o => o.number === num);
+      for (const { number, quantity } of selection) {
+        const offer = offers.find(o => o.number === number && !isPaused(o));
         if (!offer) {
-          await sendWithCancelHint(jid, `❌ La oferta número ${num} no existe. Revisa la lista.`);
+          await sendWithCancelHint(jid, `❌ La oferta número ${number} no existe. Revisa la lista.`);
+          return;
+        }
+        if (isSoldOut(offer)) {
+          await sendWithCancelHint(jid, `❌ La oferta *${offer.description}* está agotada. Elige otra.`);
+          return;
+        }
+        if (offer.stock !== null && offer.stock !== undefined && quantity > offer.stock) {
+          await sendWithCancelHint(jid, `❌ Solo quedan ${offer.stock} unidades de *${offer.description}*.`);
           return;
         }
-        selectedOffers.push(offer.id);
+        selectedOffers.push({ offer_id: offer.id, quantity });
       }
       // Guardar ofertas seleccionadas
       await updateUserSession(jid, { step: 'awaiting_fields', selected_offers: selectedOffers, field_values: {}, current_field: 0 });
@@ -419,13 +1307,43 @@ async function handleClientMessage(msg, jid, text) {
       // Obtener campos del juego
       const fields = await getGameFields(game.id);
       if (fields.length === 0) {
-        // Si no hay campos, pasar directamente a notificación al admin
-        await sendRequestToAdmin(jid, session, selectedOffers, {});
+        // Si no hay campos, el juego pasa directamente al carrito
+        await addToCart(jid, session, game, selectedOffers, {});
       } else {
+        // Ofrecer los datos de la última vez si cubren los campos obligatorios
+        const profile = await getPlayerProfile(jid, game.id);
+        if (profileCoversFields(profile, fields)) {
+          await updateUserSession(jid, { step: 'awaiting_profile_choice' });
+          await sendWithCancelHint(jid, formatProfileQuestion(profile, fields));
+          return;
+        }
         // Preguntar primer campo
-        const field = fields[0];
-        await sendMessage(jid, `✏️ Por favor, envía tu *${field.field_name}*:`);
+        await sendMessage(jid, formatFieldPrompt(fields[0], true));
+      }
+      break;
+    }
+
+    case 'awaiting_profile_choice': {
+      const game = await getGameByNumber(session.selected_game);
+      if (!game) {
+        await sendWithCancelHint(jid, '❌ Error: juego no encontrado. Vuelve a empezar.');
+        await updateUserSession(jid, { step: 'idle' });
+        return;
+      }
+      const fields = await getGameFields(game.id);
+      const choice = emojiToNumber(text) || { si: 1, sí: 1, no: 2 }[lower];
+      if (choice === 1) {
+        const profile = await getPlayerProfile(jid, game.id);
+        if (profileCoversFields(profile, fields)) {
+          await addToCart(jid, session, game, session.selected_offers, profileValuesFor(profile, fields));
+          return;
+        }
+      } else if (choice !== 2) {
+        await sendWithCancelHint(jid, '❌ Responde 1 (sí) o 2 (no).');
+        return;
       }
+      await updateUserSession(jid, { step: 'awaiting_fields', field_values: {}, current_field: 0 });
+      await sendMessage(jid, formatFieldPrompt(fields[0], true));
       break;
     }
 
@@ -440,372 +1358,2838 @@ async function handleClientMessage(msg, jid, text) {
       const currentIdx = session.current_field || 0;
       if (currentIdx >= fields.length) {
         // Ya se preguntaron todos, debería haber terminado
-        await sendRequestToAdmin(jid, session, session.selected_offers, session.field_values);
+        await addToCart(jid, session, game, session.selected_offers, session.field_values || {});
         return;
       }
       // Guardar el valor del campo actual
       const field = fields[currentIdx];
       const fieldValues = session.field_values || {};
-      fieldValues[field.field_name] = text;
+      if (lower === 'omitir') {
+        if (field.required !== false) {
+          await sendWithCancelHint(jid, `❌ *${field.field_name}* es obligatorio, no se puede omitir.`);
+          return;
+        }
+      } else {
+        const result = validateFieldValue(field, text);
+        if (result.error) {
+          await sendWithCancelHint(jid, result.error);
+          return;
+        }
+        fieldValues[field.field_name] = result.value;
+      }
       // Pasar al siguiente campo
       if (currentIdx + 1 < fields.length) {
         const nextField = fields[currentIdx + 1];
         await updateUserSession(jid, { field_values: fieldValues, current_field: currentIdx + 1 });
-        await sendMessage(jid, `✏️ Ahora, envía tu *${nextField.field_name}*:`);
+        await sendMessage(jid, formatFieldPrompt(nextField, false));
       } else {
-        // Terminó, enviar notificación al admin
-        await updateUserSession(jid, { field_values: fieldValues });
-        await sendRequestToAdmin(jid, session, session.selected_offers, fieldValues);
+        // Terminó, añadir el juego al carrito
+        await addToCart(jid, session, game, session.selected_offers, fieldValues);
       }
       break;
     }
 
-    default:
-      await sendMainMenu(jid);
-  }
-}
-
-async function sendRequestToAdmin(jid, session, offerIds, fieldValues) {
-  const game = await getGameByNumber(session.selected_game);
-  const offers = await getOffersByIds(offerIds);
-  const userNumber = jid.split('@')[0]; // parte numérica
-
-  // Crear solicitud en BD (pendiente)
-  const requestId = generateRequestId();
-  await createRequest(requestId, {
-    user_jid: jid,
-    game_name: game.name,
-    offer_desc: offers.map(o => o.description).join(', '),
-    payment_method: 'pendiente',
-    payment_details: { field_values: fieldValues },
-    screenshot_url: null,
-    status: 'pending'
-  });
-
-  // Notificar al admin
-  let adminMsg = `🔔 *NUEVA SOLICITUD* 🔔\n\n`;
-  adminMsg += `👤 Usuario: +${userNumber}\n`; // formato internacional
-  adminMsg += `🎮 Juego: ${game.name}\n`;
-  adminMsg += `💰 Ofertas:\n`;
-  offers.forEach(o => {
-    adminMsg += `   - ${o.description} (💳 ${o.price_card} / 📲 ${o.price_mobile})\n`;
-  });
-  if (Object.keys(fieldValues).length > 0) {
-    adminMsg += `📋 Datos proporcionados:\n`;
-    for (const [key, val] of Object.entries(fieldValues)) {
-      adminMsg += `   ${key}: ${val}\n`;
+    case 'awaiting_cart_action': {
+      const cart = session.cart || [];
+      const choice = emojiToNumber(text) || { pagar: 1, finalizar: 1, agregar: 2, ver: 3, vaciar: 4 }[lower];
+      if (choice === 1) {
+        await sendOrderConfirmation(jid, cart);
+      } else if (choice === 2) {
+        await updateUserSession(jid, { step: 'awaiting_game' });
+        await sendMainMenu(jid);
+      } else if (choice === 3) {
+        await sendCartMenu(jid, cart);
+      } else if (choice === 4) {
+        await updateUserSession(jid, { step: 'awaiting_game', ...EMPTY_ORDER });
+        await sendMessage(jid, '🗑️ Carrito vaciado.');
+        await sendMainMenu(jid);
+      } else {
+        await sendWithCancelHint(jid, '❌ Opción no válida. Responde con 1, 2, 3 o 4.');
+      }
+      break;
     }
-  }
-  adminMsg += `\n_El admin debe enviar los datos de pago al usuario y luego ejecutar:_\n/completar ${requestId}`;
-
-  await sendMessage(ADMIN_JID, adminMsg);
-  await sendMessage(jid, `✅ Solicitud #${requestId} enviada. Un administrador te contactará en breve con los datos de pago.`);
-  // Limpiar sesión
-  await updateUserSession(jid, { step: 'idle', selected_game: null, selected_offers: null, field_values: null, current_field: null, request_id: null });
-}
 
-async function handleBack(jid, session) {
-  switch (session.step) {
-    case 'awaiting_game':
-    case 'idle':
-      await sendMainMenu(jid);
+    case 'awaiting_confirmation': {
+      const cart = session.cart || [];
+      const editMatch = lower.match(/^editar\s+(\d+)$/);
+      const choice = editMatch ? 2 : (emojiToNumber(text) || { confirmar: 1, editar: 2 }[lower]);
+      if (choice === 1) {
+        await askPaymentMethod(jid, cart);
+      } else if (choice === 2) {
+        const fields = cartFieldList(cart);
+        if (fields.length === 0) {
+          await sendWithCancelHint(jid, 'ℹ️ Tu pedido no tiene datos que editar. Responde 1 para confirmar.');
+          return;
+        }
+        if (editMatch) {
+          await askFieldEdit(jid, cart, parseInt(editMatch[1], 10));
+          return;
+        }
+        let reply = '✏️ *¿Qué dato quieres corregir?*\n\n';
+        fields.forEach((f, i) => {
+          reply += `${numberToEmoji(i + 1)} ${f.game_name} - ${f.key}: ${f.value}\n`;
+        });
+        reply += '\n_Responde con el número del dato._';
+        await updateUserSession(jid, { step: 'awaiting_edit_field' });
+        await sendWithCancelHint(jid, reply);
+      } else if (choice === 3) {
+        await updateUserSession(jid, { step: 'awaiting_cart_action' });
+        await sendCartMenu(jid, cart);
+      } else {
+        await sendWithCancelHint(jid, '❌ Opción no válida. Responde con 1, 2 o 3.');
+      }
       break;
-    case 'awaiting_offers':
-      await sendMainMenu(jid);
-      await updateUserSession(jid, { step: 'idle', selected_game: null });
+    }
+
+    case 'awaiting_edit_field': {
+      const index = emojiToNumber(text);
+      if (!index) {
+        await sendWithCancelHint(jid, '❌ Responde con el número del dato que quieres corregir.');
+        return;
+      }
+      await askFieldEdit(jid, session.cart || [], index);
       break;
-    case 'awaiting_fields':
-      // Volver a la selección de ofertas
-      {
-        const game = await getGameByNumber(session.selected_game);
-        if (!game) {
-          await sendMainMenu(jid);
+    }
+
+    case 'awaiting_edit_value': {
+      const cart = session.cart || [];
+      const field = cartFieldList(cart)[session.current_field];
+      if (!field) {
+        await sendOrderConfirmation(jid, cart);
+        return;
+      }
+      const game = await getGameByNumber(cart[field.entry_index].game_number);
+      const definition = game ? (await getGameFields(game.id)).find(f => f.field_name === field.key) : null;
+      let value = text.trim();
+      if (definition) {
+        const result = validateFieldValue(definition, text);
+        if (result.error) {
+          await sendWithCancelHint(jid, result.error);
           return;
         }
-        const offers = await getOffersByGameId(game.id);
-        let offerText = `*${game.name}*\n\nOfertas:\n`;
-        offers.forEach(o => {
-          offerText += `${numberToEmoji(o.number)} ${o.description} — 💳 ${o.price_card} CUP / 📲 ${o.price_mobile} CUP\n`;
-        });
-        offerText += '\nResponde con los números de las ofertas que deseas (separados por coma o espacio).';
-        await sendWithCancelHint(jid, offerText);
-        await updateUserSession(jid, { step: 'awaiting_offers', selected_offers: null, field_values: null, current_field: null });
+        value = result.value;
+      }
+      cart[field.entry_index].field_values[field.key] = value;
+      await updateUserSession(jid, { cart, current_field: null });
+      await sendMessage(jid, `✅ *${field.key}* actualizado.`);
+      await sendOrderConfirmation(jid, cart);
+      break;
+    }
+
+    case 'awaiting_payment_method': {
+      const methods = await getCheckoutMethods();
+      const choice = emojiToNumber(text);
+      const method = choice ? methods[choice - 1] : null;
+      if (!method) {
+        await sendWithCancelHint(jid, '❌ Opción no válida. Responde con el número del método de pago de la lista.');
+        return;
       }
+      await sendRequestToAdmin(jid, session.cart || [], method);
       break;
+    }
+
     default:
       await sendMainMenu(jid);
   }
 }
 
-async function sendMainMenu(jid) {
-  const games = await getGames();
-  if (games.length === 0) {
-    await sendMessage(jid, '📭 No hay juegos disponibles en este momento. Contacta al admin.');
-    return;
+// Muestra las ofertas de un juego; devuelve false si no tiene ninguna
+async function sendOfferList(jid, game) {
+  const offers = (await getOffersByGameId(game.id)).filter(o => !isPaused(o));
+  if (offers.length === 0) {
+    await sendWithCancelHint(jid, '❌ Este juego no tiene ofertas aún. Contacta al admin.');
+    return false;
   }
-  let menu = '🛒 *RECARGAS DE JUEGOS* 🛒\n\nElige un juego:\n';
-  games.forEach(g => {
-    menu += `${numberToEmoji(g.number)} ${g.name}\n`;
+  let offerText = `*${game.name}*\n\nOfertas disponibles:\n`;
+  offers.forEach(o => {
+    if (isSoldOut(o)) {
+      offerText += `~${numberToEmoji(o.number)} ${o.description}~ — ❌ Agotado\n`;
+      return;
+    }
+    offerText += `${numberToEmoji(o.number)} ${o.description} — 💳 ${o.price_card} CUP / 📲 ${o.price_mobile} CUP`;
+    if (o.price_usd) offerText += ` / 💵 ${o.price_usd} USD`;
+    if (o.stock !== null && o.stock !== undefined && o.stock <= LOW_STOCK_THRESHOLD) offerText += ` (quedan ${o.stock})`;
+    offerText += '\n';
   });
-  menu += '\n_Responde con el número del juego._\n_Si necesitas cancelar, escribe "cancelar"._';
-  await sendMessage(jid, menu);
+  offerText += '\nResponde con los *números* de las ofertas que deseas (separados por coma o espacio). Ej: 1,2 o 1 2';
+  offerText += '\nPara varias unidades indica la cantidad: 2x1 (dos de la oferta 1) o 1*2.';
+  await sendWithCancelHint(jid, offerText);
+  return true;
 }
 
-// ========== COMANDOS DE ADMIN ==========
-async function handleAdminCommand(msg, jid, text) {
-  const lower = text.trim().toLowerCase();
-  const parts = text.trim().split(/\s+/);
-  const command = parts[0].toLowerCase();
+// ========== REPETIR ÚLTIMA COMPRA ==========
+// Reconstruye el carrito de una solicitud; devuelve { cart, missing } con las descripciones que ya no existen
+async function rebuildCartFromRequest(request) {
+  const items = Array.isArray(request.items) ? request.items : [];
+  const entries = requestFieldEntries(request);
+  const offers = await getOffersByIds([...new Set(items.map(i => i.offer_id).filter(Boolean))]);
+  const cart = [];
+  const missing = [];
+  const byEntry = new Map();
+  for (const item of items) {
+    const offer = offers.find(o => o.id === item.offer_id);
+    if (!offer || !isAvailable(offer)) {
+      missing.push(item.description);
+      continue;
+    }
+    const entryIndex = item.entry_index || 0;
+    if (!byEntry.has(entryIndex)) {
+      const game = await getGameById(offer.game_id);
+      if (!game || !isAvailable(game)) {
+        missing.push(item.description);
+        continue;
+      }
+      const entry = {
+        game_id: game.id,
+        game_number: game.number,
+        game_name: game.name,
+        offers: [],
+        field_values: { ...((entries[entryIndex] || entries[0] || {}).field_values || {}) }
+      };
+      byEntry.set(entryIndex, entry);
+      cart.push(entry);
+    }
+    byEntry.get(entryIndex).offers.push({ offer_id: offer.id, quantity: item.quantity || 1 });
+  }
+  return { cart, missing };
+}
 
-  // Comandos de creación (diálogos)
-  if (command === '/crear' && parts[1] === 'tarjeta') {
-    await setAdminDialog(jid, 'crear_tarjeta', 1, {});
-    await sendMessage(jid, '✏️ Envíame el *número de menú* para esta tarjeta (ej: 1️⃣ o 1):');
+async function handleRepeatLastOrder(jid) {
+  const requests = await getRequestsByUser(jid, 10);
+  const last = requests.find(r => Array.isArray(r.items) && r.items.length > 0);
+  if (!last) {
+    await sendMessage(jid, '📭 No encontramos una compra anterior para repetir. Elige un juego del menú.');
     return;
   }
-  if (command === '/crear' && parts[1] === 'saldo') {
-    await setAdminDialog(jid, 'crear_saldo', 1, {});
-    await sendMessage(jid, '✏️ Envíame el *número de menú* para este saldo móvil (ej: 1️⃣ o 1):');
+  const { cart, missing } = await rebuildCartFromRequest(last);
+  if (cart.length === 0) {
+    await sendMessage(jid, '❌ Las ofertas de tu última compra ya no están disponibles. Elige un juego del menú.');
     return;
   }
-  if (command === '/crear' && parts[1] === 'tabla') {
-    await setAdminDialog(jid, 'crear_tabla', 1, { lines: [] });
-    await sendMessage(jid, '✏️ Envía la lista de juegos en el formato:\n1️⃣ Free Fire\n2️⃣ Roblox\n...\nCuando termines, escribe /listo');
-    return;
+  await updateUserSession(jid, { ...EMPTY_ORDER, cart });
+  let notice = `🔁 Repitiendo tu compra #${last.id} con los *precios actuales*.`;
+  if (missing.length) notice += `\n⚠️ Ya no están disponibles: ${missing.join(', ')}`;
+  await sendMessage(jid, notice);
+  await sendOrderConfirmation(jid, cart);
+}
+
+// ========== PERFILES DE JUGADOR ==========
+function profileCoversFields(profile, fields) {
+  if (!profile || !profile.field_values || Object.keys(profile.field_values).length === 0) return false;
+  return fields.every(f => f.required === false || profile.field_values[f.field_name]);
+}
+
+// Solo los datos que el juego sigue pidiendo
+function profileValuesFor(profile, fields) {
+  const values = {};
+  for (const f of fields) {
+    if (profile.field_values[f.field_name]) values[f.field_name] = profile.field_values[f.field_name];
   }
-  if (command === '/añadir' && parts[1] === 'juego' && parts[2] === 'a' && parts[3]) {
-    const gameNumber = emojiToNumber(parts[3]);
-    if (!gameNumber) {
-      await sendMessage(jid, '❌ Debes especificar el número del juego. Ej: /añadir juego a 1');
-      return;
-    }
-    const game = await getGameByNumber(gameNumber);
-    if (!game) {
-      await sendMessage(jid, '❌ Ese juego no existe.');
-      return;
-    }
-    await setAdminDialog(jid, 'anadir_ofertas', 1, { game_id: game.id, game_number: gameNumber, offers: [] });
-    await sendMessage(jid, `✏️ Agregando ofertas para *${game.name}*. Envía cada oferta en el formato:\n1️⃣ 110 💎 250 700\n(número, descripción, precio móvil, precio tarjeta, precio USD opcional)\nCuando termines, escribe /fin`);
-    return;
+  return values;
+}
+
+function formatProfileQuestion(profile, fields) {
+  const entries = Object.entries(profileValuesFor(profile, fields));
+  let text;
+  if (entries.length === 1) {
+    text = `💾 ¿Usar el ${entries[0][0]} *${entries[0][1]}* de la última vez?\n`;
+  } else {
+    text = '💾 ¿Usar los datos de la última vez?\n';
+    entries.forEach(([key, val]) => text += `   ${key}: *${val}*\n`);
   }
+  text += `\n${numberToEmoji(1)} Sí\n${numberToEmoji(2)} No, escribir otros`;
+  return text;
+}
 
-  // Comandos de campos
-  if (command === '/campos' && parts[1] === 'agregar' && parts[2] && parts[3]) {
-    const gameNumber = emojiToNumber(parts[2]);
-    const fieldName = parts.slice(3).join(' ');
-    const game = await getGameByNumber(gameNumber);
-    if (!game) {
-      await sendMessage(jid, '❌ Juego no encontrado.');
+async function handleProfileCommand(jid, lower) {
+  const profiles = await getPlayerProfiles(jid);
+  if (lower.startsWith('borrar perfil')) {
+    const index = emojiToNumber(lower.split(/\s+/)[2]);
+    const profile = index ? profiles[index - 1] : null;
+    if (!profile) {
+      await sendMessage(jid, '❌ Ese perfil no existe. Escribe "mis perfiles" para ver la lista.');
       return;
     }
-    const fields = await getGameFields(game.id);
-    const nextOrder = fields.length + 1;
-    try {
-      await createGameField(game.id, fieldName, nextOrder);
-      await sendMessage(jid, `✅ Campo "${fieldName}" agregado al juego ${game.name}.`);
-    } catch (err) {
-      await sendMessage(jid, `❌ Error: ${err.message}`);
-    }
+    await deletePlayerProfile(profile.id);
+    await sendMessage(jid, '🗑️ Perfil borrado.');
     return;
   }
-  if (command === '/campos' && parts[1] === 'quitar' && parts[2] && parts[3]) {
-    const gameNumber = emojiToNumber(parts[2]);
-    const fieldName = parts.slice(3).join(' ');
-    const game = await getGameByNumber(gameNumber);
-    if (!game) {
-      await sendMessage(jid, '❌ Juego no encontrado.');
-      return;
-    }
-    try {
-      await deleteGameField(game.id, fieldName);
-      await sendMessage(jid, `✅ Campo "${fieldName}" eliminado del juego ${game.name}.`);
-    } catch (err) {
-      await sendMessage(jid, `❌ Error: ${err.message}`);
-    }
+  if (profiles.length === 0) {
+    await sendMessage(jid, '📭 No tienes perfiles guardados. Se guardan automáticamente al hacer un pedido.');
     return;
   }
-  if (command === '/campos' && parts[1] === 'listar' && parts[2]) {
-    const gameNumber = emojiToNumber(parts[2]);
-    const game = await getGameByNumber(gameNumber);
-    if (!game) {
-      await sendMessage(jid, '❌ Juego no encontrado.');
-      return;
+  let reply = '💾 *Tus perfiles guardados:*\n';
+  for (const [i, profile] of profiles.entries()) {
+    const game = await getGameById(profile.game_id);
+    reply += `\n${numberToEmoji(i + 1)} *${game ? game.name : 'Juego eliminado'}*\n`;
+    for (const [key, val] of Object.entries(profile.field_values || {})) {
+      reply += `   ${key}: ${val}\n`;
     }
-    const fields = await getGameFields(game.id);
-    if (fields.length === 0) {
-      await sendMessage(jid, `El juego ${game.name} no tiene campos configurados.`);
-      return;
+  }
+  reply += '\n_Escribe "borrar perfil N" para eliminar uno._';
+  await sendMessage(jid, reply);
+}
+
+// ========== CARRITO ==========
+// Cada entrada del carrito: { game_id, game_number, game_name, offers: [{ offer_id, quantity }], field_values }
+async function addToCart(jid, session, game, selectedOffers, fieldValues) {
+  const cart = [...(session.cart || []), {
+    game_id: game.id,
+    game_number: game.number,
+    game_name: game.name,
+    offers: selectedOffers,
+    field_values: fieldValues
+  }];
+  await updateUserSession(jid, {
+    step: 'awaiting_cart_action',
+    cart,
+    selected_game: null,
+    selected_offers: null,
+    field_values: null,
+    current_field: null
+  });
+  await sendMessage(jid, `🛒 *${game.name}* agregado al carrito.`);
+  await sendCartMenu(jid, cart);
+}
+
+// Ofertas de una entrada; las sesiones antiguas guardaban solo los IDs
+function entryOffers(entry) {
+  return entry.offers || (entry.offer_ids || []).map(offer_id => ({ offer_id, quantity: 1 }));
+}
+
+// Líneas del carrito con los precios actuales; las ofertas borradas se omiten
+async function buildCartItems(cart) {
+  const ids = [...new Set(cart.flatMap(entry => entryOffers(entry).map(o => o.offer_id)))];
+  const offers = await getOffersByIds(ids);
+  const items = [];
+  cart.forEach((entry, entryIndex) => {
+    for (const { offer_id, quantity } of entryOffers(entry)) {
+      const offer = offers.find(o => o.id === offer_id);
+      if (!offer) continue;
+      items.push({
+        entry_index: entryIndex,
+        offer_id: offer.id,
+        game_id: offer.game_id,
+        game_name: entry.game_name,
+        description: offer.description,
+        quantity: quantity || 1,
+        price_card: offer.price_card,
+        price_mobile: offer.price_mobile,
+        price_usd: offer.price_usd
+      });
     }
-    let reply = `*Campos para ${game.name}:*\n`;
-    fields.forEach(f => {
-      reply += `- ${f.field_name} (${f.required ? 'obligatorio' : 'opcional'})\n`;
+  });
+  return items;
+}
+
+function usdTotal(items) {
+  return items.some(i => i.price_usd) ? items.reduce((sum, i) => sum + (Number(i.price_usd) || 0) * (i.quantity || 1), 0) : null;
+}
+
+// "2x 110 💎 (💳 700 / 📲 250) = 💳 1400 / 📲 500"
+function formatItemLine(item) {
+  const quantity = item.quantity || 1;
+  let line = `${quantity > 1 ? `${quantity}x ` : ''}${item.description} (💳 ${item.price_card} / 📲 ${item.price_mobile})`;
+  if (quantity > 1) line += ` = 💳 ${offersTotal([item], 'card')} / 📲 ${offersTotal([item], 'mobile')}`;
+  return line;
+}
+
+function formatCart(cart, items, showFields = true, promo = null) {
+  let text = '🛒 *Tu carrito:*\n';
+  cart.forEach((entry, entryIndex) => {
+    text += `\n🎮 *${entry.game_name}*\n`;
+    const entryItems = items.filter(i => i.entry_index === entryIndex);
+    entryItems.forEach(i => {
+      text += `   - ${formatItemLine(i)}\n`;
     });
-    await sendMessage(jid, reply);
+    if (cart.length > 1) text += `   Subtotal: 💳 ${offersTotal(entryItems, 'card')} / 📲 ${offersTotal(entryItems, 'mobile')}\n`;
+    if (!showFields) return;
+    for (const [key, val] of Object.entries(entry.field_values || {})) {
+      text += `   ${key}: ${val}\n`;
+    }
+  });
+  if (promo) {
+    text += `\n${formatPromoLine(promo, items)}`;
+    text += `\n💰 *Total con descuento:* 💳 ${promoTotal(promo, items, 'card')} CUP / 📲 ${promoTotal(promo, items, 'mobile')} CUP`;
+  } else {
+    text += `\n💰 *Total:* 💳 ${offersTotal(items, 'card')} CUP / 📲 ${offersTotal(items, 'mobile')} CUP`;
+  }
+  const usd = usdTotal(items);
+  if (usd) text += ` / 💵 ${promo ? promoTotal(promo, items, 'usd') : usd} USD`;
+  return text;
+}
+
+async function sendCartMenu(jid, cart) {
+  if (cart.length === 0) {
+    await sendMessage(jid, '🛒 Tu carrito está vacío. Elige un juego del menú para empezar.');
     return;
   }
+  const items = await buildCartItems(cart);
+  const promo = await getSessionPromo(jid);
+  let reply = formatCart(cart, items, true, promo);
+  if (!promo) reply += '\n🏷️ ¿Tienes un código promocional? Escribe *promo CODIGO*';
+  reply += '\n\n¿Qué deseas hacer?\n';
+  reply += `${numberToEmoji(1)} Finalizar y pagar\n`;
+  reply += `${numberToEmoji(2)} Agregar otro juego\n`;
+  reply += `${numberToEmoji(3)} Ver carrito\n`;
+  reply += `${numberToEmoji(4)} Vaciar carrito`;
+  await sendWithCancelHint(jid, reply);
+}
 
-  // Comandos de edición
-  if (command === '/editar' && parts[1] === 'juego' && parts[2]) {
-    const gameNumber = emojiToNumber(parts[2]);
-    const game = await getGameByNumber(gameNumber);
-    if (!game) {
-      await sendMessage(jid, '❌ Juego no encontrado.');
+// ========== CONFIRMACIÓN DEL PEDIDO ==========
+// Datos de jugador del carrito en orden, para poder editarlos por número
+function cartFieldList(cart) {
+  return cart.flatMap((entry, entryIndex) => Object.entries(entry.field_values || {}).map(([key, value]) => ({
+    entry_index: entryIndex,
+    game_name: entry.game_name,
+    key,
+    value
+  })));
+}
+
+async function sendOrderConfirmation(jid, cart) {
+  if (cart.length === 0) {
+    await sendCartMenu(jid, cart);
+    return;
+  }
+  const items = await buildCartItems(cart);
+  const promo = await getSessionPromo(jid);
+  let reply = '🧐 *Revisa tu pedido antes de enviarlo*\n\n';
+  reply += formatCart(cart, items, false, promo);
+  if (!promo) reply += '\n🏷️ ¿Tienes un código promocional? Escribe *promo CODIGO*';
+  const fields = cartFieldList(cart);
+  if (fields.length > 0) {
+    reply += '\n\n⚠️ *Comprueba bien tus datos*, una recarga a un ID equivocado no se puede deshacer:\n';
+    fields.forEach((f, i) => {
+      reply += `${numberToEmoji(i + 1)} ${f.game_name} - ${f.key}: *${f.value}*\n`;
+    });
+  }
+  reply += '\n¿Todo correcto?\n';
+  reply += `${numberToEmoji(1)} Confirmar y elegir método de pago\n`;
+  reply += `${numberToEmoji(2)} Editar un dato${fields.length ? ' (o escribe "editar N")' : ''}\n`;
+  reply += `${numberToEmoji(3)} Volver al carrito`;
+  await updateUserSession(jid, { step: 'awaiting_confirmation' });
+  await sendWithCancelHint(jid, reply);
+}
+
+async function askFieldEdit(jid, cart, index) {
+  const field = cartFieldList(cart)[index - 1];
+  if (!field) {
+    await sendWithCancelHint(jid, '❌ Ese dato no existe. Elige un número de la lista.');
+    return;
+  }
+  await updateUserSession(jid, { step: 'awaiting_edit_value', current_field: index - 1 });
+  await sendWithCancelHint(jid, `✏️ Envía el nuevo valor de *${field.key}* para ${field.game_name} (actual: ${field.value}):`);
+}
+
+// ========== CÓDIGOS PROMOCIONALES ==========
+// Motivo por el que un código no se puede usar con estos artículos, o null si vale
+function promoProblem(promo, items = null) {
+  if (!promo || promo.active === false) return 'no existe o está desactivado';
+  if (promo.expires_at && new Date(promo.expires_at) < new Date()) return 'ha caducado';
+  if (promo.max_uses && (promo.uses || 0) >= promo.max_uses) return 'ya no tiene usos disponibles';
+  if (items && promoItems(promo, items).length === 0) return 'no aplica a los juegos de tu pedido';
+  return null;
+}
+
+// Vuelve a leer y validar el código y le suma un uso. Si otro pedido lo usa a la vez,
+// se reintenta con el valor actualizado. Devuelve { promo } o { problem }.
+async function usePromoCode(code, items) {
+  for (let attempt = 0; attempt < CONDITIONAL_UPDATE_ATTEMPTS; attempt++) {
+    const promo = await getPromoCode(code);
+    const problem = promoProblem(promo, items);
+    if (problem) return { problem };
+    if (await redeemPromoCode(promo)) return { promo };
+  }
+  return { problem: 'lo están usando muchos clientes a la vez, inténtalo de nuevo' };
+}
+
+// Una solicitud rechazada, expirada o reembolsada tras completarse devuelve el uso del
+// código; un fallo aquí no debe frenar el cambio de estado
+async function releaseRequestPromo(request, status) {
+  if (!request.promo_code) return;
+  const releases = ['rejected', 'expired'].includes(status) || (status === 'refunded' && request.status === 'completed');
+  if (!releases) return;
+  try {
+    await releasePromoCode(request.promo_code);
+  } catch (err) {
+    console.error(`Error devolviendo el uso del código ${request.promo_code}:`, err.message);
+  }
+}
+
+function promoItems(promo, items) {
+  return promo.game_id ? items.filter(i => i.game_id === promo.game_id) : items;
+}
+
+// Descuento en CUP (card/mobile) o USD de los artículos a los que aplica el código
+function promoDiscount(promo, items, type) {
+  if (!promo) return 0;
+  const eligible = promoItems(promo, items);
+  if (type === 'usd') return Math.round((usdTotal(eligible) || 0) * promo.percent) / 100;
+  return Math.round(offersTotal(eligible, type) * promo.percent / 100);
+}
+
+function promoTotal(promo, items, type) {
+  const total = type === 'usd' ? usdTotal(items) || 0 : offersTotal(items, type);
+  const discounted = total - promoDiscount(promo, items, type);
+  return type === 'usd' ? Math.round(discounted * 100) / 100 : discounted;
+}
+
+function formatPromoLine(promo, items) {
+  return `🏷️ Código *${promo.code}* (-${promo.percent}%${promo.game_id ? ` en ${promoItems(promo, items)[0]?.game_name || 'su juego'}` : ''}): -💳 ${promoDiscount(promo, items, 'card')} / -📲 ${promoDiscount(promo, items, 'mobile')}`;
+}
+
+// Código guardado en la sesión, si sigue siendo válido
+async function getSessionPromo(jid) {
+  const session = await getUserSession(jid);
+  if (!session?.promo_code) return null;
+  const promo = await getPromoCode(session.promo_code);
+  return promoProblem(promo) ? null : promo;
+}
+
+// "promo CODIGO" / "cupón CODIGO" / "quitar promo"
+async function handlePromoInput(jid, session, lower) {
+  const cart = session.cart || [];
+  if (lower === 'quitar promo') {
+    await updateUserSession(jid, { promo_code: null });
+    await sendMessage(jid, '🏷️ Código promocional quitado.');
+  } else {
+    if (cart.length === 0) {
+      await sendWithCancelHint(jid, '🛒 Primero agrega algo al carrito y luego escribe tu código.');
       return;
     }
-    await setAdminDialog(jid, 'editar_juego', 1, { game_id: game.id, game_number: gameNumber });
-    await sendMessage(jid, `✏️ Editando juego *${game.name}*. Envía el nuevo nombre (o escribe "cancelar"):`);
+    const code = lower.split(/\s+/)[1].toUpperCase();
+    const promo = await getPromoCode(code);
+    const items = await buildCartItems(cart);
+    const problem = promoProblem(promo, items);
+    if (problem) {
+      await sendWithCancelHint(jid, `❌ El código *${code}* ${problem}.`);
+      return;
+    }
+    await updateUserSession(jid, { promo_code: promo.code });
+    await sendMessage(jid, `✅ Código *${promo.code}* aplicado: ${promo.percent}% de descuento${promo.game_id ? ` en ${promoItems(promo, items)[0].game_name}` : ''}.`);
+  }
+  // Volver a mostrar el paso actual con los totales actualizados
+  if (session.step === 'awaiting_confirmation') await sendOrderConfirmation(jid, cart);
+  else if (session.step === 'awaiting_payment_method') await askPaymentMethod(jid, cart);
+  else if (cart.length > 0 && session.step === 'awaiting_cart_action') await sendCartMenu(jid, cart);
+}
+
+function formatPromoCode(promo, games, timezone) {
+  const game = promo.game_id ? games.find(g => g.id === promo.game_id) : null;
+  let line = `🏷️ *${promo.code}* -${promo.percent}%`;
+  line += game ? ` en ${game.name}` : ' en todo';
+  line += ` · usos ${promo.uses || 0}${promo.max_uses ? `/${promo.max_uses}` : ''}`;
+  if (promo.expires_at) line += ` · hasta ${formatDate(promo.expires_at, timezone)}`;
+  const problem = promoProblem(promo);
+  line += problem ? ` · ⛔ ${problem}` : ' · ✅ activo';
+  return line;
+}
+
+// Tarjetas primero y luego saldos móviles; el cliente elige por la posición en esta lista
+async function getCheckoutMethods() {
+  const cards = await getPaymentMethods('card');
+  const mobiles = await getPaymentMethods('mobile');
+  return [...cards, ...mobiles];
+}
+
+function offersTotal(offers, type) {
+  return offers.reduce((sum, o) => sum + (Number(type === 'card' ? o.price_card : o.price_mobile) || 0) * (o.quantity || 1), 0);
+}
+
+function paymentTypeLabel(type) {
+  return type === 'card' ? '💳 Tarjeta' : '📲 Saldo móvil';
+}
+
+function formatPaymentDetails(method) {
+  const details = method.details || {};
+  if (method.type === 'card') {
+    let text = `💳 Tarjeta: ${details.card_number}`;
+    if (details.confirm_number) text += `\n📞 Número a confirmar: ${details.confirm_number}`;
+    return text;
+  }
+  return `📲 Teléfono: ${details.phone_number}`;
+}
+
+async function askPaymentMethod(jid, cart) {
+  if (cart.length === 0) {
+    await sendCartMenu(jid, cart);
     return;
   }
-  if (command === '/editar' && parts[1] === 'oferta' && parts[2] && parts[3]) {
-    const gameNumber = emojiToNumber(parts[2]);
-    const offerNumber = emojiToNumber(parts[3]);
-    const game = await getGameByNumber(gameNumber);
-    if (!game) {
-      await sendMessage(jid, '❌ Juego no encontrado.');
+  const methods = await getCheckoutMethods();
+  if (methods.length === 0) {
+    // Sin métodos configurados, el admin enviará los datos de pago a mano
+    await sendRequestToAdmin(jid, cart, null);
+    return;
+  }
+  const items = await buildCartItems(cart);
+  const promo = await getSessionPromo(jid);
+  let reply = '💰 *Elige el método de pago:*\n\n';
+  methods.forEach((m, i) => {
+    reply += `${numberToEmoji(i + 1)} ${paymentTypeLabel(m.type)} - ${m.label} — Total: ${promoTotal(promo, items, m.type)} CUP\n`;
+  });
+  if (promo) reply += `\n🏷️ Descuento del código *${promo.code}* incluido.\n`;
+  reply += '\n_Responde con el número del método._';
+  await updateUserSession(jid, { step: 'awaiting_payment_method' });
+  await sendWithCancelHint(jid, reply);
+}
+
+// Descripciones de las líneas del carrito que ya no se pueden vender (pausadas o sin stock suficiente)
+async function findUnavailableItems(cart) {
+  const unavailable = [];
+  const quantities = {};
+  for (const entry of cart) {
+    for (const { offer_id, quantity } of entryOffers(entry)) {
+      quantities[offer_id] = (quantities[offer_id] || 0) + (quantity || 1);
+    }
+  }
+  const offers = await getOffersByIds(Object.keys(quantities).map(Number));
+  for (const offer of offers) {
+    const game = await getGameById(offer.game_id);
+    const tooMany = offer.stock !== null && offer.stock !== undefined && quantities[offer.id] > offer.stock;
+    if (!isAvailable(offer) || !game || !isAvailable(game) || tooMany) unavailable.push(offer.description);
+  }
+  return unavailable;
+}
+
+// Envía el carrito completo como una sola solicitud. `apiKey` es la clave de API cuando el
+// pedido llega por la API REST; en ese caso el código promocional llega en `promoCode` y
+// no se lee de la sesión. Devuelve el ID de la solicitud creada.
+async function sendRequestToAdmin(jid, cart, method = null, apiKey = null, promoCode = null) {
+  const source = apiKey ? apiRequestSource(apiKey) : null;
+  // Un pedido por API se rechaza con un error HTTP: no se escribe al cliente ni se toca su conversación
+  const items = await buildCartItems(cart);
+  if (items.length === 0) {
+    if (!source) {
+      await sendMessage(jid, '❌ Las ofertas de tu carrito ya no están disponibles. Vuelve a empezar.');
+      await updateUserSession(jid, { step: 'idle', ...EMPTY_ORDER });
+    }
+    return;
+  }
+  const unavailable = await findUnavailableItems(cart);
+  if (unavailable.length > 0) {
+    if (!source) {
+      await sendMessage(jid, `❌ Ya no hay disponibilidad de: ${unavailable.join(', ')}. Vacía el carrito o cambia tu pedido.`);
+      await updateUserSession(jid, { step: 'awaiting_cart_action' });
+      await sendCartMenu(jid, cart);
+    }
+    return;
+  }
+  const userNumber = jid.split('@')[0]; // parte numérica
+
+  // El código se vuelve a validar al enviar: puede haber caducado o agotado sus usos
+  const code = source ? promoCode : (await getUserSession(jid)).promo_code;
+  let promo = null;
+  if (code) {
+    const redeemed = await usePromoCode(code, items);
+    promo = redeemed.promo || null;
+    if (redeemed.problem) {
+      await sendMessage(jid, `⚠️ El código *${code}* ya no es válido (${redeemed.problem}). Tu solicitud se envía sin descuento.`);
+    }
+  }
+  const amount = method ? promoTotal(promo, items, method.type) : null;
+  const gameNames = [...new Set(cart.map(entry => entry.game_name))];
+  const entryItems = entryIndex => items.filter(i => i.entry_index === entryIndex);
+  const describe = item => `${(item.quantity || 1) > 1 ? `${item.quantity}x ` : ''}${item.description}`;
+
+  // Fuera de horario la solicitud queda en cola para el resumen de apertura
+  const closed = await closedNotice();
+
+  // Crear solicitud en BD (pendiente)
+  const requestId = generateRequestId();
+  try {
+    await createRequest(requestId, {
+      user_jid: jid,
+      game_name: gameNames.join(', '),
+      offer_desc: cart.length === 1
+        ? items.map(describe).join(', ')
+        : cart.map((entry, i) => `${entry.game_name}: ${entryItems(i).map(describe).join(', ')}`).join('; '),
+      payment_method: method ? method.id : 'pendiente',
+      payment_type: method ? method.type : null,
+      amount,
+      amount_usd: promo ? promoTotal(promo, items, 'usd') : usdTotal(items),
+      items,
+      promo_code: promo ? promo.code : null,
+      // Sin método de pago aún no se sabe el descuento en CUP, pero el de USD siempre se guarda
+      discount: promo && method ? promoDiscount(promo, items, method.type) : null,
+      discount_usd: promo ? promoDiscount(promo, items, 'usd') : null,
+      payment_details: {
+        entries: cart.map(entry => ({ game_name: entry.game_name, field_values: entry.field_values || {} }))
+      },
+      screenshot_url: null,
+      status: 'pending',
+      admin_notified: !closed,
+      source: source || 'whatsapp'
+    });
+  } catch (err) {
+    // La solicitud no llegó a existir: el uso del código no se pierde
+    if (promo) await releasePromoCode(promo.code).catch(e => console.error(`Error devolviendo el uso de ${promo.code}:`, e.message));
+    throw err;
+  }
+  await emitWebhookEvent('request.created', requestId);
+
+  // Notificar al admin
+  let adminMsg = `🔔 *NUEVA SOLICITUD* 🔔\n\n`;
+  adminMsg += `👤 Usuario: +${userNumber}\n`; // formato internacional
+  if (apiKey) adminMsg += `🌐 Origen: API (${apiKey.name})\n`;
+  cart.forEach((entry, entryIndex) => {
+    adminMsg += `\n🎮 Juego: ${entry.game_name}\n`;
+    adminMsg += `💰 Ofertas:\n`;
+    entryItems(entryIndex).forEach(i => {
+      adminMsg += `   - ${formatItemLine(i)}\n`;
+    });
+    if (cart.length > 1) {
+      adminMsg += `   Subtotal: 💳 ${offersTotal(entryItems(entryIndex), 'card')} / 📲 ${offersTotal(entryItems(entryIndex), 'mobile')}\n`;
+    }
+    const fieldValues = entry.field_values || {};
+    if (Object.keys(fieldValues).length > 0) {
+      adminMsg += `📋 Datos proporcionados:\n`;
+      for (const [key, val] of Object.entries(fieldValues)) {
+        adminMsg += `   ${key}: ${val}\n`;
+      }
+    }
+  });
+  adminMsg += `\n🧮 Total: 💳 ${offersTotal(items, 'card')} / 📲 ${offersTotal(items, 'mobile')}\n`;
+  if (promo) {
+    adminMsg += `${formatPromoLine(promo, items)}\n`;
+    adminMsg += `🧮 Total con descuento: 💳 ${promoTotal(promo, items, 'card')} / 📲 ${promoTotal(promo, items, 'mobile')}\n`;
+  }
+  if (method) {
+    adminMsg += `💵 Pago: ${paymentTypeLabel(method.type)} - ${method.label} (${amount} CUP)\n`;
+    adminMsg += `\n_Tómala con /tomar ${requestId}, verifica el pago y luego ejecuta:_\n/completar ${requestId}`;
+  } else {
+    adminMsg += `\n_Tómala con /tomar ${requestId}, envía los datos de pago al usuario y luego ejecuta:_\n/completar ${requestId}`;
+  }
+
+  if (!closed) await notifyAdmins(adminMsg);
+
+  // Recordar los datos usados para el próximo pedido de cada juego
+  for (const entry of cart) {
+    if (!entry.game_id || Object.keys(entry.field_values || {}).length === 0) continue;
+    try {
+      await savePlayerProfile(jid, entry.game_id, entry.field_values);
+    } catch (err) {
+      console.error('Error guardando perfil:', err.message);
+    }
+  }
+
+  if (method) {
+    await sendMessage(jid, `✅ Solicitud #${requestId} enviada.\n\nRealiza el pago de *${amount} CUP* a:\n${formatPaymentDetails(method)}\n\n📸 Cuando pagues, envía aquí la *captura de pantalla* del pago.`);
+  } else {
+    await sendMessage(jid, `✅ Solicitud #${requestId} enviada. Un administrador te contactará en breve con los datos de pago.`);
+  }
+  if (closed) await sendMessage(jid, closed);
+  // Limpiar sesión (un pedido por API no debe interrumpir la conversación del cliente)
+  if (!source) await updateUserSession(jid, { step: 'idle', ...EMPTY_ORDER });
+  return requestId;
+}
+
+async function handleOrderStatusQuery(jid, text) {
+  const lower = text.toLowerCase();
+  if (lower.startsWith('estado ')) {
+    const requestId = text.split(/\s+/)[1].replace(/^#/, '');
+    const request = await getRequest(requestId);
+    if (!request || request.user_jid !== jid) {
+      await sendMessage(jid, '❌ No encontramos esa solicitud. Escribe "mis pedidos" para ver tus solicitudes.');
       return;
     }
-    const offer = await getOfferByGameAndNumber(game.id, offerNumber);
-    if (!offer) {
-      await sendMessage(jid, '❌ Oferta no encontrada.');
+    await sendMessage(jid, formatRequestForClient(request));
+    return;
+  }
+
+  const limit = lower === 'estado' ? 1 : 10;
+  const requests = await getRequestsByUser(jid, limit);
+  if (requests.length === 0) {
+    await sendMessage(jid, '📭 Aún no tienes solicitudes.');
+    return;
+  }
+  if (lower === 'estado') {
+    await sendMessage(jid, `📦 *Tu última solicitud:*\n\n${formatRequestForClient(requests[0])}\n_Escribe "mis pedidos" para ver el historial._`);
+    return;
+  }
+  let reply = `📦 *Tus últimas ${requests.length} solicitudes:*\n\n`;
+  reply += requests.map(formatRequestForClient).join('\n');
+  reply += '\n_Escribe "estado ID" para ver una en concreto._';
+  await sendMessage(jid, reply);
+}
+
+async function handleClientScreenshot(msg, jid) {
+  const request = await getLatestPendingRequest(jid);
+  if (!request) return false;
+
+  // Sin la imagen no hay nada que reenviar: se pide al cliente que la mande otra vez
+  let buffer;
+  try {
+    buffer = await downloadMediaMessage(msg, 'buffer', {}, { logger, reuploadRequest: sock.updateMediaMessage });
+  } catch (err) {
+    console.error('Error descargando captura:', err.message);
+    await sendMessage(jid, `❌ No pudimos recibir la captura de la solicitud #${request.id}. Envíala de nuevo, por favor.`);
+    return true;
+  }
+  const mimetype = msg.message.imageMessage.mimetype;
+  let url = null;
+  try {
+    url = await uploadScreenshot(request.id, buffer, mimetype);
+    await updateRequest(request.id, { screenshot_url: url });
+  } catch (err) {
+    console.error('Error subiendo captura:', err.message);
+  }
+
+  const userNumber = jid.split('@')[0];
+  let caption = `🧾 *CAPTURA DE PAGO*\n\n🆔 Solicitud: ${request.id}\n👤 Usuario: +${userNumber}\n🎮 ${request.game_name} - ${request.offer_desc}`;
+  if (request.amount) caption += `\n💵 Monto: ${request.amount} CUP`;
+  if (!url) caption += '\n⚠️ No se pudo guardar en el almacenamiento.';
+  caption += `\n\n/completar ${request.id}`;
+  await notifyAdmins({ image: buffer, caption, mimetype });
+  await sendMessage(jid, `📸 Captura recibida para la solicitud #${request.id}. Un administrador la revisará en breve.`);
+  return true;
+}
+
+async function handleBack(jid, session) {
+  switch (session.step) {
+    case 'awaiting_game':
+    case 'idle':
+      await updateUserSession(jid, { step: 'awaiting_game' });
+      await sendMainMenu(jid);
+      break;
+    case 'awaiting_offers':
+      await updateUserSession(jid, { step: 'awaiting_game', selected_game: null });
+      await sendMainMenu(jid);
+      break;
+    case 'awaiting_fields':
+    case 'awaiting_profile_choice':
+      // Volver a la selección de ofertas
+      {
+        const game = await getGameByNumber(session.selected_game);
+        if (!game) {
+          await updateUserSession(jid, { step: 'awaiting_game', selected_game: null });
+          await sendMainMenu(jid);
+          return;
+        }
+        await sendOfferList(jid, game);
+        await updateUserSession(jid, { step: 'awaiting_offers', selected_offers: null, field_values: null, current_field: null });
+      }
+      break;
+    case 'awaiting_confirmation':
+    case 'awaiting_cart_action':
+      // Volver al carrito
+      await updateUserSession(jid, { step: 'awaiting_cart_action' });
+      await sendCartMenu(jid, session.cart || []);
+      break;
+    case 'awaiting_payment_method':
+    case 'awaiting_edit_field':
+    case 'awaiting_edit_value':
+      // Volver a la confirmación
+      await updateUserSession(jid, { current_field: null });
+      await sendOrderConfirmation(jid, session.cart || []);
+      break;
+    default:
+      await sendMainMenu(jid);
+  }
+}
+
+async function sendMainMenu(jid) {
+  const games = await getGames();
+  if (games.filter(g => !isPaused(g)).length === 0) {
+    await sendMessage(jid, '📭 No hay juegos disponibles en este momento. Contacta al admin.');
+    return;
+  }
+  let menu = '🛒 *RECARGAS DE JUEGOS* 🛒\n\nElige un juego:\n';
+  games.filter(g => !isPaused(g)).forEach(g => {
+    menu += isSoldOut(g) ? `~${numberToEmoji(g.number)} ${g.name}~ — ❌ Agotado\n` : `${numberToEmoji(g.number)} ${g.name}\n`;
+  });
+  const [last] = await getRequestsByUser(jid, 1);
+  if (last) menu += `\n🔁 *repetir* — volver a pedir tu última compra (${last.game_name} - ${last.offer_desc})\n`;
+  const closed = await closedNotice();
+  if (closed) menu += `\n${closed}\n`;
+  menu += '\n_Responde con el número del juego._\n_Si necesitas cancelar, escribe "cancelar"._\n_Para ver tus pedidos, escribe "mis pedidos" o "estado"._\n_Para ver tu carrito, escribe "ver carrito"._\n_Para ver tus datos guardados, escribe "mis perfiles"._';
+  await sendMessage(jid, menu);
+}
+
+// ========== COMANDOS DE ADMIN ==========
+async function handleAdminCommand(msg, jid, text, role) {
+  const lower = text.trim().toLowerCase();
+  const parts = text.trim().split(/\s+/);
+  const command = parts[0].toLowerCase();
+
+  if (!canRunCommand(role, command)) {
+    await sendMessage(jid, `⛔ Como operador solo puedes usar: ${OPERATOR_COMMANDS.join(', ')}`);
+    return;
+  }
+
+  // Gestión de administradores
+  if (command === '/admin' && parts[1] === 'agregar' && parts[2] && parts[3]) {
+    const adminJid = normalizeJid(parts[2]);
+    const newRole = { propietario: 'owner', operador: 'operator' }[parts[3].toLowerCase()] || parts[3].toLowerCase();
+    if (!ADMIN_ROLES.includes(newRole)) {
+      await sendMessage(jid, '❌ Rol inválido. Usa "propietario" u "operador".');
       return;
     }
-    await setAdminDialog(jid, 'editar_oferta', 1, { offer_id: offer.id, game_name: game.name });
-    await sendMessage(jid, `✏️ Editando oferta *${offer.description}*. Envía la nueva descripción (o escribe "cancelar"):`);
+    if (adminJid === ADMIN_JID) {
+      await sendMessage(jid, '❌ El admin principal (ADMIN_JID) siempre es propietario.');
+      return;
+    }
+    try {
+      await upsertAdmin(adminJid, newRole);
+      await sendMessage(jid, `✅ ${adminJid} ahora es ${ADMIN_ROLE_LABELS[newRole]}.`);
+    } catch (err) {
+      await sendMessage(jid, `❌ Error: ${err.message}`);
+    }
     return;
   }
-  if (command === '/editar' && (parts[1] === 'tarjeta' || parts[1] === 'saldo') && parts[2]) {
-    const type = parts[1] === 'tarjeta' ? 'card' : 'mobile';
-    const methodNumber = emojiToNumber(parts[2]);
-    const method = await getPaymentMethodByNumber(type, methodNumber);
-    if (!method) {
-      await sendMessage(jid, '❌ Método de pago no encontrado.');
+  if (command === '/admin' && parts[1] === 'quitar' && parts[2]) {
+    const adminJid = normalizeJid(parts[2]);
+    if (adminJid === ADMIN_JID) {
+      await sendMessage(jid, '❌ No se puede quitar al admin principal (ADMIN_JID).');
       return;
     }
-    await setAdminDialog(jid, 'editar_metodo', 1, { method_id: method.id, type, method_number: methodNumber });
-    await sendMessage(jid, `✏️ Editando método *${method.label}*. Envía la nueva etiqueta (o escribe "cancelar"):`);
+    const admin = await getAdminByJid(adminJid);
+    if (!admin) {
+      await sendMessage(jid, '❌ Ese admin no existe.');
+      return;
+    }
+    await deleteAdmin(adminJid);
+    await clearAdminDialog(adminJid);
+    await sendMessage(jid, `✅ ${adminJid} ya no es administrador.`);
+    return;
+  }
+  if (command === '/admin' && parts[1] === 'listar') {
+    const admins = await getAdmins();
+    let reply = '*Administradores:*\n';
+    reply += `- ${ADMIN_JID} (propietario principal)\n`;
+    admins.forEach(a => reply += `- ${a.jid} (${ADMIN_ROLE_LABELS[a.role] || a.role})\n`);
+    await sendMessage(jid, reply);
     return;
   }
 
-  // Comandos de listado
-  if (command === '/listar' && parts[1] === 'juegos') {
-    const games = await getGames();
-    if (games.length === 0) {
-      await sendMessage(jid, 'No hay juegos.');
+  // Claves de la API REST
+  if (command === '/apikey' && parts[1] === 'crear' && parts[2] && parts[3]) {
+    const scopes = parts[3].toLowerCase().split(',').map(s => s.trim()).filter(Boolean);
+    const invalid = scopes.filter(s => !API_SCOPES[s]);
+    if (invalid.length > 0) {
+      await sendMessage(jid, `❌ Permisos no válidos: ${invalid.join(', ')}. Usa: ${Object.keys(API_SCOPES).join(', ')}.`);
       return;
     }
-    let reply = '*Juegos:*\n';
-    games.forEach(g => reply += `${numberToEmoji(g.number)} ${g.name} (ID: ${g.id})\n`);
-    await sendMessage(jid, reply);
+    const key = `rk_${crypto.randomBytes(24).toString('hex')}`;
+    const apiKey = await createApiKey(parts[2], hashApiKey(key), scopes);
+    await sendMessage(jid, `🔑 Clave "${apiKey.name}" (#${apiKey.id}) creada con permisos: ${scopes.join(', ')}.\n\nGuárdala ahora, no se volverá a mostrar:`);
+    await sendMessage(jid, key);
     return;
   }
-  if (command === '/listar' && parts[1] === 'ofertas' && parts[2]) {
-    const gameNumber = emojiToNumber(parts[2]);
-    const game = await getGameByNumber(gameNumber);
-    if (!game) {
-      await sendMessage(jid, '❌ Juego no encontrado.');
+  if (command === '/apikey' && parts[1] === 'listar') {
+    const keys = await getApiKeys();
+    if (keys.length === 0) {
+      await sendMessage(jid, '📭 No hay claves de API.');
       return;
     }
-    const offers = await getOffersByGameId(game.id);
-    if (offers.length === 0) {
-      await sendMessage(jid, 'No hay ofertas para este juego.');
+    let reply = '*Claves de API:*\n';
+    for (const k of keys) {
+      reply += `\n#${k.id} ${k.name} - ${(k.scopes || []).join(', ')}`;
+      reply += k.revoked_at ? ` (⛔ revocada ${formatDate(k.revoked_at)})` : ` (último uso: ${k.last_used_at ? formatDate(k.last_used_at) : 'nunca'})`;
+    }
+    await sendMessage(jid, reply);
+    return;
+  }
+  if (command === '/apikey' && parts[1] === 'revocar' && parts[2]) {
+    const key = (await getApiKeys()).find(k => String(k.id) === parts[2].replace(/^#/, ''));
+    if (!key || key.revoked_at) {
+      await sendMessage(jid, '❌ Clave no encontrada o ya revocada.');
       return;
     }
-    let reply = `*Ofertas de ${game.name}:*\n`;
-    offers.forEach(o => {
-      reply += `${numberToEmoji(o.number)} ${o.description} — 💳 ${o.price_card} / 📲 ${o.price_mobile}`;
-      if (o.price_usd) reply += ` / 💵 ${o.price_usd}`;
-      reply += ` (ID oferta: ${o.id})\n`;
-    });
-    await sendMessage(jid, reply);
+    await updateApiKey(key.id, { revoked_at: new Date().toISOString() });
+    await sendMessage(jid, `✅ Clave "${key.name}" revocada.`);
+    return;
+  }
+  if (command === '/apikey') {
+    await sendMessage(jid, `❌ Uso: /apikey crear nombre permisos, /apikey listar, /apikey revocar ID\nPermisos: ${Object.entries(API_SCOPES).map(([k, v]) => `${k} (${v})`).join(', ')}`);
+    return;
+  }
+
+  // Webhooks salientes
+  if (command === '/webhook' && parts[1] === 'agregar' && parts[2]) {
+    let url;
+    try {
+      url = new URL(parts[2]);
+    } catch (err) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      await sendMessage(jid, '❌ URL inválida. Ej: /webhook agregar https://mi-servidor.com/hook');
+      return;
+    }
+    const events = parts[3] ? parts[3].split(',').map(e => e.trim()).filter(Boolean) : [];
+    const invalid = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (invalid.length > 0) {
+      await sendMessage(jid, `❌ Eventos no válidos: ${invalid.join(', ')}. Usa: ${WEBHOOK_EVENTS.join(', ')}.`);
+      return;
+    }
+    const secret = crypto.randomBytes(24).toString('hex');
+    const webhook = await createWebhook(url.toString(), secret, events);
+    await sendMessage(jid, `✅ Webhook #${webhook.id} creado para ${events.length ? events.join(', ') : 'todos los eventos'}.\n\nSecreto para verificar la firma (cabecera X-Signature):`);
+    await sendMessage(jid, secret);
+    return;
+  }
+  if (command === '/webhook' && parts[1] === 'listar') {
+    const webhooks = await getWebhooks();
+    if (webhooks.length === 0) {
+      await sendMessage(jid, '📭 No hay webhooks configurados.');
+      return;
+    }
+    let reply = '*Webhooks:*\n';
+    for (const w of webhooks) {
+      reply += `\n#${w.id} ${w.url}\n   Eventos: ${(w.events || []).length ? w.events.join(', ') : 'todos'}`;
+    }
+    await sendMessage(jid, reply);
+    return;
+  }
+  if (command === '/webhook' && parts[1] === 'quitar' && parts[2]) {
+    const webhook = await getWebhookById(Number(parts[2].replace(/^#/, '')));
+    if (!webhook) {
+      await sendMessage(jid, '❌ Webhook no encontrado.');
+      return;
+    }
+    await deleteWebhook(webhook.id);
+    await sendMessage(jid, `✅ Webhook #${webhook.id} eliminado.`);
+    return;
+  }
+  if (command === '/webhook' && parts[1] === 'log') {
+    const deliveries = await getWebhookDeliveries(parts[2] ? Number(parts[2].replace(/^#/, '')) : null);
+    if (deliveries.length === 0) {
+      await sendMessage(jid, '📭 No hay entregas registradas.');
+      return;
+    }
+    await sendLongMessage(jid, `*Últimas entregas:*\n\n${deliveries.map(formatWebhookDelivery).join('\n\n')}`);
+    return;
+  }
+  if (command === '/webhook') {
+    await sendMessage(jid, `❌ Uso: /webhook agregar URL [eventos], /webhook listar, /webhook quitar ID, /webhook log [ID]\nEventos: ${WEBHOOK_EVENTS.join(', ')}`);
+    return;
+  }
+
+  // Comandos de creación (diálogos)
+  if (command === '/crear' && parts[1] === 'tarjeta') {
+    await setAdminDialog(jid, 'crear_tarjeta', 1, {});
+    await sendMessage(jid, '✏️ Envíame el *número de menú* para esta tarjeta (ej: 1️⃣ o 1):');
+    return;
+  }
+  if (command === '/crear' && parts[1] === 'saldo') {
+    await setAdminDialog(jid, 'crear_saldo', 1, {});
+    await sendMessage(jid, '✏️ Envíame el *número de menú* para este saldo móvil (ej: 1️⃣ o 1):');
+    return;
+  }
+  if (command === '/crear' && parts[1] === 'tabla') {
+    await setAdminDialog(jid, 'crear_tabla', 1, { lines: [] });
+    await sendMessage(jid, '✏️ Envía la lista de juegos en el formato:\n1️⃣ Free Fire\n2️⃣ Roblox\n...\nCuando termines, escribe /listo');
+    return;
+  }
+  if (command === '/añadir' && parts[1] === 'juego' && parts[2] === 'a' && parts[3]) {
+    const gameNumber = emojiToNumber(parts[3]);
+    if (!gameNumber) {
+      await sendMessage(jid, '❌ Debes especificar el número del juego. Ej: /añadir juego a 1');
+      return;
+    }
+    const game = await getGameByNumber(gameNumber);
+    if (!game) {
+      await sendMessage(jid, '❌ Ese juego no existe.');
+      return;
+    }
+    await setAdminDialog(jid, 'anadir_ofertas', 1, { game_id: game.id, game_number: gameNumber, offers: [] });
+    await sendMessage(jid, `✏️ Agregando ofertas para *${game.name}*. Envía cada oferta en el formato:\n1️⃣ 110 💎 250 700\n(número, descripción, precio móvil, precio tarjeta, precio USD opcional)\nCuando termines, escribe /fin`);
+    return;
+  }
+
+  if (command === '/importar') {
+    await setAdminDialog(jid, 'importar_catalogo', 1, {});
+    await sendMessage(jid, '📥 Envía el catálogo como documento CSV o JSON (el mismo formato que /exportar catalogo).\nLos juegos que no aparezcan en el archivo no se modifican; en los que sí aparecen, se borran las ofertas y campos que falten.');
+    return;
+  }
+
+  // Horario de atención
+  if (command === '/horario') {
+    const hours = await getBusinessHours();
+    if (!parts[1]) {
+      await sendMessage(jid, formatBusinessHours(hours));
+      return;
+    }
+    const usage = '❌ Uso: /horario lunes 09:00-18:00 | /horario todos 09:00-18:00 | /horario domingo cerrado | /horario zona America/Havana | /horario borrar';
+    if (parts[1] === 'zona' && parts[2]) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: parts[2] });
+      } catch (err) {
+        await sendMessage(jid, '❌ Zona horaria no válida. Ej: America/Havana');
+        return;
+      }
+      hours.timezone = parts[2];
+    } else if (parts[1] === 'borrar') {
+      hours.days = {};
+    } else if (parts[2]) {
+      const days = parts[1] === 'todos' ? [0, 1, 2, 3, 4, 5, 6] : [parseWeekday(parts[1])];
+      const closedDay = parts[2].toLowerCase() === 'cerrado';
+      if (days.includes(-1) || (!closedDay && !parseTimeRange(parts[2]))) {
+        await sendMessage(jid, usage);
+        return;
+      }
+      for (const day of days) {
+        if (closedDay) delete hours.days[day];
+        else hours.days[day] = parts[2];
+      }
+    } else {
+      await sendMessage(jid, usage);
+      return;
+    }
+    await setSetting('business_hours', hours);
+    await sendMessage(jid, `✅ Horario actualizado.\n\n${formatBusinessHours(hours)}`);
+    return;
+  }
+
+  // Disponibilidad y stock
+  if ((command === '/pausar' || command === '/activar') && parts[1] === 'juego' && parts[2]) {
+    const game = await getGameByNumber(emojiToNumber(parts[2]));
+    if (!game) {
+      await sendMessage(jid, '❌ Juego no encontrado.');
+      return;
+    }
+    const active = command === '/activar';
+    await updateGame(game.id, { active });
+    await sendMessage(jid, `✅ Juego *${game.name}* ${active ? 'activado' : 'pausado'}.`);
+    return;
+  }
+  if ((command === '/pausar' || command === '/activar') && parts[1] === 'oferta' && parts[2] && parts[3]) {
+    const game = await getGameByNumber(emojiToNumber(parts[2]));
+    if (!game) {
+      await sendMessage(jid, '❌ Juego no encontrado.');
+      return;
+    }
+    const offer = await getOfferByGameAndNumber(game.id, emojiToNumber(parts[3]));
+    if (!offer) {
+      await sendMessage(jid, '❌ Oferta no encontrada.');
+      return;
+    }
+    const active = command === '/activar';
+    await updateOffer(offer.id, { active });
+    await sendMessage(jid, `✅ Oferta *${offer.description}* ${active ? 'activada' : 'pausada'}.`);
+    return;
+  }
+  if (command === '/stock' && parts[1] && parts[2]) {
+    const usage = '❌ Uso: /stock #juego #oferta cantidad | /stock #juego cantidad (usa "-" para quitar el límite)';
+    const game = await getGameByNumber(emojiToNumber(parts[1]));
+    if (!game) {
+      await sendMessage(jid, '❌ Juego no encontrado.');
+      return;
+    }
+    const forOffer = parts.length >= 4;
+    const rawStock = forOffer ? parts[3] : parts[2];
+    const stock = rawStock === '-' ? null : parseInt(rawStock, 10);
+    if (stock !== null && !(stock >= 0)) {
+      await sendMessage(jid, usage);
+      return;
+    }
+    const label = stock === null ? 'sin límite' : stock;
+    if (!forOffer) {
+      await updateGame(game.id, { stock });
+      await sendMessage(jid, `✅ Stock de *${game.name}*: ${label}.`);
+      return;
+    }
+    const offer = await getOfferByGameAndNumber(game.id, emojiToNumber(parts[2]));
+    if (!offer) {
+      await sendMessage(jid, '❌ Oferta no encontrada.');
+      return;
+    }
+    await updateOffer(offer.id, { stock });
+    await sendMessage(jid, `✅ Stock de *${offer.description}*: ${label}.`);
+    return;
+  }
+
+  // Códigos promocionales
+  if (command === '/promo' && parts[1] === 'crear' && parts[2] && parts[3]) {
+    const usage = '❌ Uso: /promo crear CODIGO 10% [juego #] [usos N] [hasta AAAA-MM-DD]';
+    const code = parts[2].toUpperCase();
+    const percent = parseFloat(parts[3].replace('%', '').replace(',', '.'));
+    if (!/^[A-Z0-9_-]{3,20}$/.test(code) || !(percent > 0 && percent <= 100)) {
+      await sendMessage(jid, usage);
+      return;
+    }
+    const promo = { code, percent, game_id: null, max_uses: null, expires_at: null, uses: 0, active: true };
+    // La fecha límite se entiende en la zona horaria de la tienda (/horario zona)
+    const { timezone } = await getBusinessHours();
+    let gameName = null;
+    for (let i = 4; i < parts.length; i += 2) {
+      const key = parts[i].toLowerCase();
+      const value = parts[i + 1];
+      if (!value) {
+        await sendMessage(jid, usage);
+        return;
+      }
+      if (key === 'juego') {
+        const game = await getGameByNumber(emojiToNumber(value));
+        if (!game) {
+          await sendMessage(jid, '❌ Juego no encontrado.');
+          return;
+        }
+        promo.game_id = game.id;
+        gameName = game.name;
+      } else if (key === 'usos' && parseInt(value, 10) > 0) {
+        promo.max_uses = parseInt(value, 10);
+      } else if (key === 'hasta' && parseDate(value)) {
+        const date = parseDate(value);
+        promo.expires_at = zonedEndOfDay(timezone, date.getFullYear(), date.getMonth() + 1, date.getDate()).toISOString();
+      } else {
+        await sendMessage(jid, usage);
+        return;
+      }
+    }
+    if (await getPromoCode(code)) {
+      await sendMessage(jid, `❌ Ya existe el código ${code}.`);
+      return;
+    }
+    try {
+      await createPromoCode(promo);
+      let reply = `✅ Código *${code}* creado: ${percent}% de descuento${gameName ? ` en ${gameName}` : ''}`;
+      if (promo.max_uses) reply += `, ${promo.max_uses} usos`;
+      if (promo.expires_at) reply += `, hasta ${formatDate(promo.expires_at, timezone)}`;
+      await sendMessage(jid, `${reply}.`);
+    } catch (err) {
+      await sendMessage(jid, `❌ Error: ${err.message}`);
+    }
+    return;
+  }
+  if (command === '/promo' && parts[1] === 'listar') {
+    const promos = await getPromoCodes();
+    if (promos.length === 0) {
+      await sendMessage(jid, '📭 No hay códigos promocionales.');
+      return;
+    }
+    const games = await getGames();
+    const { timezone } = await getBusinessHours();
+    await sendLongMessage(jid, `*Códigos promocionales:*\n\n${promos.map(p => formatPromoCode(p, games, timezone)).join('\n')}`);
+    return;
+  }
+  if (command === '/promo' && parts[1] === 'desactivar' && parts[2]) {
+    const promo = await getPromoCode(parts[2]);
+    if (!promo) {
+      await sendMessage(jid, '❌ Código no encontrado.');
+      return;
+    }
+    await updatePromoCode(promo.code, { active: false });
+    await sendMessage(jid, `✅ Código *${promo.code}* desactivado.`);
+    return;
+  }
+  if (command === '/promo') {
+    await sendMessage(jid, '❌ Uso: /promo crear CODIGO 10% [juego #] [usos N] [hasta AAAA-MM-DD], /promo listar, /promo desactivar CODIGO');
+    return;
+  }
+
+  // Recarga automática por proveedor
+  if (command === '/proveedor' && parts[1] && parts[2]) {
+    const game = await getGameByNumber(emojiToNumber(parts[1]));
+    if (!game) {
+      await sendMessage(jid, '❌ Juego no encontrado.');
+      return;
+    }
+    const provider = parts[2].toLowerCase() === 'ninguno' ? null : parts[2].toLowerCase();
+    if (provider && !FULFILLMENT_PROVIDERS[provider]) {
+      await sendMessage(jid, `❌ Proveedor desconocido. Usa: ${Object.keys(FULFILLMENT_PROVIDERS).join(', ')} o ninguno.`);
+      return;
+    }
+    await updateGame(game.id, { provider });
+    if (!provider) {
+      await sendMessage(jid, `✅ *${game.name}* vuelve a recargarse a mano.`);
+      return;
+    }
+    const missing = (await getOffersByGameId(game.id)).filter(o => !o.sku);
+    let reply = `✅ *${game.name}* enlazado a ${FULFILLMENT_PROVIDERS[provider].label} (${provider}).`;
+    if (missing.length) reply += `\n⚠️ Ofertas sin SKU (se harán a mano): ${missing.map(o => o.number).join(', ')}. Usa /sku ${game.number} # CODIGO`;
+    await sendMessage(jid, reply);
+    return;
+  }
+  if (command === '/proveedor') {
+    const games = (await getGames()).filter(g => g.provider);
+    let reply = `*Proveedores disponibles:* ${Object.entries(FULFILLMENT_PROVIDERS).map(([k, v]) => `${k} (${v.label})`).join(', ')}\n\n`;
+    reply += games.length
+      ? `*Juegos enlazados:*\n${games.map(g => `${numberToEmoji(g.number)} ${g.name} → ${g.provider}`).join('\n')}`
+      : 'Ningún juego tiene proveedor.';
+    reply += '\n\n_Uso: /proveedor #juego nombre|ninguno y /sku #juego #oferta CODIGO_';
+    await sendMessage(jid, reply);
+    return;
+  }
+  if (command === '/sku' && parts[1] && parts[2] && parts[3]) {
+    const game = await getGameByNumber(emojiToNumber(parts[1]));
+    const offer = game ? await getOfferByGameAndNumber(game.id, emojiToNumber(parts[2])) : null;
+    if (!offer) {
+      await sendMessage(jid, '❌ Oferta no encontrada.');
+      return;
+    }
+    const sku = parts[3] === '-' ? null : parts[3];
+    await updateOffer(offer.id, { sku });
+    await sendMessage(jid, sku ? `✅ SKU de *${offer.description}*: ${sku}.` : `✅ *${offer.description}* ya no tiene SKU.`);
+    return;
+  }
+
+  // Tasa de cambio y precios automáticos
+  if (command === '/tasa') {
+    const pricing = await getPricingSettings();
+    if (!parts[1]) {
+      await sendMessage(jid, formatPricing(pricing));
+      return;
+    }
+    const usage = '❌ Uso: /tasa usd 320 | /tasa margen tarjeta|movil 10';
+    if (parts[1] === 'usd' && parts[2]) {
+      const rate = parseFloat(parts[2].replace(',', '.'));
+      if (!(rate > 0)) {
+        await sendMessage(jid, usage);
+        return;
+      }
+      pricing.usd_rate = rate;
+    } else if (parts[1] === 'margen' && PRICE_COLUMNS[parts[2]] && PRICE_COLUMNS[parts[2]] !== 'price_usd' && parts[3]) {
+      const margin = parseFloat(parts[3].replace('%', '').replace(',', '.'));
+      if (Number.isNaN(margin)) {
+        await sendMessage(jid, usage);
+        return;
+      }
+      pricing[PRICE_COLUMNS[parts[2]] === 'price_card' ? 'margin_card' : 'margin_mobile'] = margin;
+    } else {
+      await sendMessage(jid, usage);
+      return;
+    }
+    await setSetting('pricing', pricing);
+    const updated = await recalculateAutoPrices();
+    await sendMessage(jid, `${formatPricing(pricing)}\n✅ Guardado. ${updated} ofertas con precio automático actualizadas.`);
+    return;
+  }
+  if (command === '/precios' && parts[1] === 'auto' && parts[2] && parts[3] && parts[4]) {
+    const game = await getGameByNumber(emojiToNumber(parts[2]));
+    if (!game) {
+      await sendMessage(jid, '❌ Juego no encontrado.');
+      return;
+    }
+    const enable = ['si', 'sí', 'on'].includes(parts[4].toLowerCase());
+    let offers = await getOffersByGameId(game.id);
+    if (parts[3] !== 'todas') {
+      offers = offers.filter(o => o.number === emojiToNumber(parts[3]));
+      if (offers.length === 0) {
+        await sendMessage(jid, '❌ Oferta no encontrada.');
+        return;
+      }
+    }
+    for (const offer of offers) {
+      await updateOffer(offer.id, { auto_price: enable });
+    }
+    const withoutUsd = enable ? offers.filter(o => !o.price_usd).length : 0;
+    const updated = enable ? await recalculateAutoPrices() : 0;
+    let reply = `✅ Precio automático ${enable ? 'activado' : 'desactivado'} en ${offers.length} ofertas de ${game.name}.`;
+    if (enable) reply += ` ${updated} precios recalculados.`;
+    if (withoutUsd) reply += `\n⚠️ ${withoutUsd} ofertas no tienen precio USD y mantendrán sus precios CUP.`;
+    await sendMessage(jid, reply);
+    return;
+  }
+
+  // Ajuste masivo de precios
+  if (command === '/precios' && parts[1] === 'ajustar') {
+    const usage = '❌ Uso: /precios ajustar [juego #|todos] tarjeta|movil|usd +10%|-50|=700\nPuedes indicar varias columnas separadas por coma: tarjeta,movil';
+    let games;
+    let rest;
+    if (parts[2] === 'juego' && parts[3]) {
+      const game = await getGameByNumber(emojiToNumber(parts[3]));
+      if (!game) {
+        await sendMessage(jid, '❌ Juego no encontrado.');
+        return;
+      }
+      games = [game];
+      rest = parts.slice(4);
+    } else if (parts[2] === 'todos') {
+      games = await getGames();
+      rest = parts.slice(3);
+    } else {
+      await sendMessage(jid, usage);
+      return;
+    }
+    const columns = [...new Set((rest[0] || '').toLowerCase().split(',').map(c => PRICE_COLUMNS[c]))];
+    const adjustment = parsePriceAdjustment(rest[1]);
+    if (columns.length === 0 || columns.includes(undefined) || !adjustment) {
+      await sendMessage(jid, usage);
+      return;
+    }
+    const { changes, autoPriced } = await computePriceChanges(games, columns, adjustment);
+    if (changes.length === 0) {
+      await sendMessage(jid, `ℹ️ El ajuste no cambia ningún precio.${autoPriced ? `\n${autoPricedNotice(autoPriced)}` : ''}`);
+      return;
+    }
+    await setAdminDialog(jid, 'ajustar_precios', 1, { changes });
+    await sendLongMessage(jid, `${formatPriceChanges(changes, autoPriced)}\n\nEscribe /confirmar para aplicar o "cancelar".`);
+    return;
+  }
+
+  // Comandos de campos
+  if (command === '/campos' && parts[1] === 'agregar' && parts[2] && parts[3]) {
+    const gameNumber = emojiToNumber(parts[2]);
+    const definition = parseFieldDefinition(parts.slice(3).join(' '));
+    if (definition.error) {
+      await sendMessage(jid, `❌ ${definition.error}\nEj: /campos agregar 1 ID de jugador | tipo=numero | min=8 | max=12 | ayuda=Lo ves en tu perfil`);
+      return;
+    }
+    const fieldName = definition.name;
+    const game = await getGameByNumber(gameNumber);
+    if (!game) {
+      await sendMessage(jid, '❌ Juego no encontrado.');
+      return;
+    }
+    const fields = await getGameFields(game.id);
+    const nextOrder = fields.length + 1;
+    try {
+      const { required, ...options } = definition.options;
+      await createGameField(game.id, fieldName, nextOrder, required, options);
+      await sendMessage(jid, `✅ Campo "${fieldName}" (${formatFieldRules(definition.options)}) agregado al juego ${game.name}.`);
+    } catch (err) {
+      await sendMessage(jid, `❌ Error: ${err.message}`);
+    }
+    return;
+  }
+  if (command === '/campos' && parts[1] === 'quitar' && parts[2] && parts[3]) {
+    const gameNumber = emojiToNumber(parts[2]);
+    const fieldName = parts.slice(3).join(' ');
+    const game = await getGameByNumber(gameNumber);
+    if (!game) {
+      await sendMessage(jid, '❌ Juego no encontrado.');
+      return;
+    }
+    try {
+      await deleteGameField(game.id, fieldName);
+      await sendMessage(jid, `✅ Campo "${fieldName}" eliminado del juego ${game.name}.`);
+    } catch (err) {
+      await sendMessage(jid, `❌ Error: ${err.message}`);
+    }
+    return;
+  }
+  if (command === '/campos' && parts[1] === 'listar' && parts[2]) {
+    const gameNumber = emojiToNumber(parts[2]);
+    const game = await getGameByNumber(gameNumber);
+    if (!game) {
+      await sendMessage(jid, '❌ Juego no encontrado.');
+      return;
+    }
+    const fields = await getGameFields(game.id);
+    if (fields.length === 0) {
+      await sendMessage(jid, `El juego ${game.name} no tiene campos configurados.`);
+      return;
+    }
+    let reply = `*Campos para ${game.name}:*\n`;
+    fields.forEach(f => {
+      reply += `- ${f.field_name} (${formatFieldRules(f)})\n`;
+      if (f.help_text) reply += `   💡 ${f.help_text}\n`;
+    });
+    await sendMessage(jid, reply);
+    return;
+  }
+
+  // Comandos de edición
+  if (command === '/editar' && parts[1] === 'juego' && parts[2]) {
+    const gameNumber = emojiToNumber(parts[2]);
+    const game = await getGameByNumber(gameNumber);
+    if (!game) {
+      await sendMessage(jid, '❌ Juego no encontrado.');
+      return;
+    }
+    await setAdminDialog(jid, 'editar_juego', 1, { game_id: game.id, game_number: gameNumber });
+    await sendMessage(jid, `✏️ Editando juego *${game.name}*. Envía el nuevo nombre (o escribe "cancelar"):`);
+    return;
+  }
+  if (command === '/editar' && parts[1] === 'oferta' && parts[2] && parts[3]) {
+    const gameNumber = emojiToNumber(parts[2]);
+    const offerNumber = emojiToNumber(parts[3]);
+    const game = await getGameByNumber(gameNumber);
+    if (!game) {
+      await sendMessage(jid, '❌ Juego no encontrado.');
+      return;
+    }
+    const offer = await getOfferByGameAndNumber(game.id, offerNumber);
+    if (!offer) {
+      await sendMessage(jid, '❌ Oferta no encontrada.');
+      return;
+    }
+    await setAdminDialog(jid, 'editar_oferta', 1, { offer_id: offer.id, game_name: game.name });
+    await sendMessage(jid, `✏️ Editando oferta *${offer.description}*. Envía la nueva descripción (o escribe "cancelar"):`);
+    return;
+  }
+  if (command === '/editar' && (parts[1] === 'tarjeta' || parts[1] === 'saldo') && parts[2]) {
+    const type = parts[1] === 'tarjeta' ? 'card' : 'mobile';
+    const methodNumber = emojiToNumber(parts[2]);
+    const method = await getPaymentMethodByNumber(type, methodNumber);
+    if (!method) {
+      await sendMessage(jid, '❌ Método de pago no encontrado.');
+      return;
+    }
+    await setAdminDialog(jid, 'editar_metodo', 1, { method_id: method.id, type, method_number: methodNumber });
+    await sendMessage(jid, `✏️ Editando método *${method.label}*. Envía la nueva etiqueta (o escribe "cancelar"):`);
+    return;
+  }
+
+  // Comandos de listado
+  if (command === '/listar' && parts[1] === 'juegos') {
+    const games = await getGames();
+    if (games.length === 0) {
+      await sendMessage(jid, 'No hay juegos.');
+      return;
+    }
+    let reply = '*Juegos:*\n';
+    games.forEach(g => reply += `${numberToEmoji(g.number)} ${g.name}${formatAvailability(g)} (ID: ${g.id})\n`);
+    await sendMessage(jid, reply);
+    return;
+  }
+  if (command === '/listar' && parts[1] === 'ofertas' && parts[2]) {
+    const gameNumber = emojiToNumber(parts[2]);
+    const game = await getGameByNumber(gameNumber);
+    if (!game) {
+      await sendMessage(jid, '❌ Juego no encontrado.');
+      return;
+    }
+    const offers = await getOffersByGameId(game.id);
+    if (offers.length === 0) {
+      await sendMessage(jid, 'No hay ofertas para este juego.');
+      return;
+    }
+    let reply = `*Ofertas de ${game.name}:*\n`;
+    offers.forEach(o => {
+      reply += `${numberToEmoji(o.number)} ${o.description} — 💳 ${o.price_card} / 📲 ${o.price_mobile}`;
+      if (o.price_usd) reply += ` / 💵 ${o.price_usd}`;
+      if (o.auto_price) reply += ' 💱';
+      if (o.sku) reply += ` 🤖 ${o.sku}`;
+      reply += formatAvailability(o);
+      reply += ` (ID oferta: ${o.id})\n`;
+    });
+    await sendMessage(jid, reply);
+    return;
+  }
+  if (command === '/listar' && parts[1] === 'metodos') {
+    const cards = await getPaymentMethods('card');
+    const mobiles = await getPaymentMethods('mobile');
+    let reply = '*Métodos de pago:*\n';
+    if (cards.length) {
+      reply += '\n💳 Tarjetas:\n';
+      cards.forEach(c => reply += `${numberToEmoji(c.number)} ${c.label} (ID: ${c.id})\n`);
+    }
+    if (mobiles.length) {
+      reply += '\n📲 Saldo móvil:\n';
+      mobiles.forEach(m => reply += `${numberToEmoji(m.number)} ${m.label} (ID: ${m.id})\n`);
+    }
+    if (!cards.length && !mobiles.length) reply += 'No hay métodos configurados.';
+    await sendMessage(jid, reply);
+    return;
+  }
+
+  // Comandos de borrado
+  if (command === '/borrar' && parts[1] === 'juego' && parts[2]) {
+    const gameNumber = emojiToNumber(parts[2]);
+    const game = await getGameByNumber(gameNumber);
+    if (!game) {
+      await sendMessage(jid, '❌ Juego no encontrado.');
+      return;
+    }
+    await deleteGame(game.id);
+    await sendMessage(jid, `✅ Juego *${game.name}* eliminado.`);
+    return;
+  }
+  if (command === '/borrar' && parts[1] === 'oferta' && parts[2] && parts[3]) {
+    const gameNumber = emojiToNumber(parts[2]);
+    const offerNumber = emojiToNumber(parts[3]);
+    const game = await getGameByNumber(gameNumber);
+    if (!game) {
+      await sendMessage(jid, '❌ Juego no encontrado.');
+      return;
+    }
+    const offer = await getOfferByGameAndNumber(game.id, offerNumber);
+    if (!offer) {
+      await sendMessage(jid, '❌ Oferta no encontrada.');
+      return;
+    }
+    await deleteOffer(offer.id);
+    await sendMessage(jid, `✅ Oferta *${offer.description}* eliminada.`);
+    return;
+  }
+  if (command === '/borrar' && (parts[1] === 'tarjeta' || parts[1] === 'saldo') && parts[2]) {
+    const type = parts[1] === 'tarjeta' ? 'card' : 'mobile';
+    const methodNumber = emojiToNumber(parts[2]);
+    const method = await getPaymentMethodByNumber(type, methodNumber);
+    if (!method) {
+      await sendMessage(jid, '❌ Método no encontrado.');
+      return;
+    }
+    await deletePaymentMethod(method.id);
+    await sendMessage(jid, `✅ Método *${method.label}* eliminado.`);
+    return;
+  }
+
+  // Estados de solicitudes
+  if (command === '/completar' && parts[1]) {
+    await transitionRequest(jid, parts[1], 'completed');
+    return;
+  }
+  if (command === '/procesando' && parts[1]) {
+    await transitionRequest(jid, parts[1], 'processing');
+    return;
+  }
+  if (command === '/rechazar' && parts[1]) {
+    const reason = parts.slice(2).join(' ') || null;
+    await transitionRequest(jid, parts[1], 'rejected', reason);
+    return;
+  }
+  if (command === '/reembolsar' && parts[1]) {
+    await transitionRequest(jid, parts[1], 'refunded');
+    return;
+  }
+
+  // Tomar una solicitud
+  if (command === '/tomar' && parts[1]) {
+    const requestId = parts[1];
+    const request = await getRequest(requestId);
+    if (!request) {
+      await sendMessage(jid, '❌ Solicitud no encontrada.');
+      return;
+    }
+    if (!['pending', 'processing'].includes(request.status)) {
+      await sendMessage(jid, `❌ La solicitud está ${REQUEST_STATUS_LABELS[request.status] || request.status}, no se puede tomar.`);
+      return;
+    }
+    if (request.claimed_by === jid) {
+      await sendMessage(jid, 'ℹ️ Ya tienes tomada esta solicitud.');
+      return;
+    }
+    // Un propietario puede reasignarse una solicitud ya tomada
+    const force = !!request.claimed_by && role === 'owner';
+    if (request.claimed_by && !force) {
+      await sendMessage(jid, `⛔ La solicitud ya la tomó ${formatAdmin(request.claimed_by)}.`);
+      return;
+    }
+    const claimed = await claimRequest(requestId, jid, force);
+    if (!claimed) {
+      await sendMessage(jid, '⛔ Otro admin tomó la solicitud justo ahora. Revisa /solicitud ' + requestId);
+      return;
+    }
+    await sendMessage(jid, `✅ Has tomado la solicitud ${requestId}.`);
+    await notifyAdmins(`🙋 ${formatAdmin(jid)} tomó la solicitud ${requestId} (${request.game_name} - ${request.offer_desc}).`, jid);
+    return;
+  }
+
+  // Cola de solicitudes
+  if (command === '/pendientes') {
+    const page = Math.max(emojiToNumber(parts[1] || '') || 1, 1);
+    const { requests, total } = await getOpenRequests((page - 1) * ADMIN_PAGE_SIZE, ADMIN_PAGE_SIZE);
+    if (total === 0) {
+      await sendMessage(jid, '📭 No hay solicitudes abiertas.');
+      return;
+    }
+    const pages = Math.ceil(total / ADMIN_PAGE_SIZE);
+    if (requests.length === 0) {
+      await sendMessage(jid, `❌ Página fuera de rango. Hay ${pages} página(s).`);
+      return;
+    }
+    let reply = `📋 *Solicitudes abiertas: ${total}* (página ${page}/${pages})\n\n`;
+    reply += requests.map(formatRequestLine).join('\n\n');
+    if (page < pages) reply += `\n\n_Siguiente página: /pendientes ${page + 1}_`;
+    await sendLongMessage(jid, reply);
+    return;
+  }
+  if (command === '/solicitud' && parts[1]) {
+    const request = await getRequest(parts[1]);
+    if (!request) {
+      await sendMessage(jid, '❌ Solicitud no encontrada.');
+      return;
+    }
+    await sendLongMessage(jid, await formatRequestForAdmin(request));
+    return;
+  }
+  if (command === '/buscar' && parts[1]) {
+    const digits = parts.slice(1).join('').replace(/[^0-9]/g, '');
+    if (!digits) {
+      await sendMessage(jid, '❌ Indica un número de teléfono. Ej: /buscar +5355123456');
+      return;
+    }
+    const requests = await searchRequestsByPhone(digits);
+    if (requests.length === 0) {
+      await sendMessage(jid, `📭 No hay solicitudes para +${digits}.`);
+      return;
+    }
+    let reply = `🔎 *Solicitudes de +${digits}:* ${requests.length}\n\n`;
+    reply += requests.map(formatRequestLine).join('\n\n');
+    await sendLongMessage(jid, reply);
+    return;
+  }
+
+  // Reportes
+  if (command === '/reporte') {
+    const period = parseReportPeriod(parts.slice(1), (await getBusinessHours()).timezone);
+    if (!period) {
+      await sendMessage(jid, '❌ Uso: /reporte hoy | semana | mes | desde AAAA-MM-DD hasta AAAA-MM-DD');
+      return;
+    }
+    const requests = await getRequestsBetween(period.from, period.to);
+    await sendLongMessage(jid, formatSalesReport(buildSalesReport(requests), period.label));
+    return;
+  }
+
+  // Exportaciones
+  if (command === '/exportar' && (parts[1] === 'solicitudes' || parts[1] === 'catalogo')) {
+    const args = parts.slice(2);
+    const format = ['csv', 'json'].includes((args[args.length - 1] || '').toLowerCase())
+      ? args.pop().toLowerCase()
+      : defaultExportFormat(parts[1]);
+    const period = parts[1] === 'solicitudes' ? parseReportPeriod(args.length ? args : ['mes'], (await getBusinessHours()).timezone) : null;
+    if (parts[1] === 'solicitudes' && !period) {
+      await sendMessage(jid, '❌ Uso: /exportar solicitudes hoy|semana|mes|desde AAAA-MM-DD hasta AAAA-MM-DD [csv|json]');
+      return;
+    }
+    const file = await buildExport(parts[1], format, period);
+    await sock.sendMessage(jid, { document: file.buffer, mimetype: file.mimetype, fileName: file.fileName });
+    return;
+  }
+
+  // Cancelar diálogo
+  if (command === '/cancelar') {
+    await clearAdminDialog(jid);
+    await sendMessage(jid, '✅ Diálogo cancelado.');
+    return;
+  }
+
+  await sendMessage(jid, '❌ Comando no reconocido. Usa /crear tarjeta, /crear saldo, /crear tabla, /añadir juego a #, /campos agregar # nombre [| tipo=numero|email|texto|opciones | opciones=a,b | min=N | max=N | ayuda=... | opcional | regex=... al final], /campos quitar # nombre, /campos listar #, /editar juego #, /editar oferta # #, /editar tarjeta #, /editar saldo #, /listar juegos, /listar ofertas #, /listar metodos, /borrar juego #, /borrar oferta # #, /borrar tarjeta #, /borrar saldo #, /tomar ID, /completar ID, /procesando ID, /rechazar ID motivo, /reembolsar ID, /pendientes [página], /solicitud ID, /buscar +número, /admin agregar JID rol, /admin quitar JID, /admin listar, /reporte hoy|semana|mes|desde FECHA hasta FECHA, /exportar solicitudes periodo [csv|json], /exportar catalogo [csv|json], /importar, /precios ajustar [juego #|todos] tarjeta|movil|usd +10%|-50|=700, /precios auto # #|todas si|no, /tasa, /tasa usd #, /tasa margen tarjeta|movil %, /pausar juego #, /pausar oferta # #, /activar juego #, /activar oferta # #, /stock # # cantidad, /stock # cantidad, /horario, /apikey crear|listar|revocar, /webhook agregar|listar|quitar|log, /proveedor # nombre|ninguno, /sku # # CODIGO, /promo crear|listar|desactivar');
+}
+
+function formatAvailability(item) {
+  let text = '';
+  if (isPaused(item)) text += ' ⏸️ pausado';
+  if (item.stock !== null && item.stock !== undefined) text += ` 📦 stock: ${item.stock}`;
+  return text;
+}
+
+function formatRequestLine(request) {
+  const userNumber = request.user_jid.split('@')[0];
+  let line = `🆔 ${request.id} — ${REQUEST_STATUS_LABELS[request.status] || request.status} (hace ${formatAge(request.created_at)})\n`;
+  line += `   👤 +${userNumber} | 🎮 ${request.game_name} - ${request.offer_desc}`;
+  if (request.amount) line += ` | 💵 ${request.amount} CUP`;
+  if (request.screenshot_url) line += ' | 🧾';
+  line += request.claimed_by ? ` | 🙋 ${formatAdmin(request.claimed_by)}` : ' | 🆓 sin tomar';
+  return line;
+}
+
+async function formatRequestForAdmin(request) {
+  const userNumber = request.user_jid.split('@')[0];
+  let text = `📄 *Solicitud ${request.id}*\n\n`;
+  text += `📌 Estado: ${REQUEST_STATUS_LABELS[request.status] || request.status}\n`;
+  text += `👤 Usuario: +${userNumber}\n`;
+  text += `🎮 Juego: ${request.game_name}\n`;
+  text += `💰 Ofertas: ${request.offer_desc}\n`;
+  const method = request.payment_method && request.payment_method !== 'pendiente'
+    ? await getPaymentMethodById(request.payment_method)
+    : null;
+  if (method) text += `💳 Pago: ${paymentTypeLabel(method.type)} - ${method.label}\n`;
+  if (request.amount) text += `💵 Monto: ${request.amount} CUP\n`;
+  if (request.promo_code) {
+    const discount = request.discount ? `-${request.discount} CUP` : request.discount_usd ? `-${request.discount_usd} USD` : '';
+    text += `🏷️ Código: ${request.promo_code}${discount ? ` (${discount})` : ''}\n`;
+  }
+  for (const entry of requestFieldEntries(request)) {
+    if (Object.keys(entry.field_values).length === 0) continue;
+    text += `📋 Datos (${entry.game_name}):\n`;
+    for (const [key, val] of Object.entries(entry.field_values)) {
+      text += `   ${key}: ${val}\n`;
+    }
+  }
+  text += `🕒 Creada: ${formatDate(request.created_at)} (hace ${formatAge(request.created_at)})\n`;
+  if (request.status_changed_at) text += `🔁 Último cambio: ${formatDate(request.status_changed_at)}\n`;
+  if (request.status_reason) text += `📝 Motivo: ${request.status_reason}\n`;
+  text += `🧾 Captura: ${request.screenshot_url || 'no enviada'}\n`;
+  text += `🙋 Tomada por: ${request.claimed_by ? `${formatAdmin(request.claimed_by)} (${formatDate(request.claimed_at)})` : 'nadie'}\n`;
+  if (request.fulfillment) {
+    text += `🤖 Proveedor: ${FULFILLMENT_STATUS_LABELS[request.fulfillment.status] || request.fulfillment.status}\n`;
+    for (const order of request.fulfillment.orders || []) {
+      text += `   ${order.description} (${order.provider} ${order.order_id || '-'}): ${FULFILLMENT_STATUS_LABELS[order.status] || order.status}${order.message ? ` - ${order.message}` : ''}\n`;
+    }
+  }
+  return text;
+}
+
+// ========== REPORTES ==========
+// Acepta AAAA-MM-DD o DD/MM/AAAA, en hora local
+function parseDate(str) {
+  let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) return new Date(+match[1], +match[2] - 1, +match[3]);
+  match = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) return new Date(+match[3], +match[2] - 1, +match[1]);
+  return null;
+}
+
+// Devuelve { from, to, label } o null si el periodo no es válido
+// Los días empiezan a medianoche en la zona horaria de la tienda (/horario zona)
+function parseReportPeriod(args, timezone) {
+  const { year, month, day, weekday } = zonedDate(timezone);
+  const tomorrow = zonedTime(timezone, year, month, day + 1);
+  const period = (args[0] || 'hoy').toLowerCase();
+  if (period === 'hoy') return { from: zonedTime(timezone, year, month, day), to: tomorrow, label: 'hoy' };
+  if (period === 'semana') {
+    return { from: zonedTime(timezone, year, month, day - ((weekday + 6) % 7)), to: tomorrow, label: 'esta semana' };
+  }
+  if (period === 'mes') {
+    return { from: zonedTime(timezone, year, month, 1), to: tomorrow, label: 'este mes' };
+  }
+  if (period === 'desde' && args[1] && args[2] === 'hasta' && args[3]) {
+    const from = parseDate(args[1]);
+    const until = parseDate(args[3]);
+    if (!from || !until || until < from) return null;
+    return {
+      from: zonedTime(timezone, from.getFullYear(), from.getMonth() + 1, from.getDate()),
+      to: zonedTime(timezone, until.getFullYear(), until.getMonth() + 1, until.getDate() + 1),
+      label: `del ${args[1]} al ${args[3]}`
+    };
+  }
+  return null;
+}
+
+// Líneas vendidas de una solicitud; las antiguas sin `items` se reconstruyen del texto
+function requestItems(request) {
+  if (Array.isArray(request.items) && request.items.length > 0) return request.items;
+  return (request.offer_desc || '').split(', ').filter(Boolean).map(description => ({
+    game_name: request.game_name,
+    description
+  }));
+}
+
+// Datos de jugador por juego; las solicitudes de un solo juego guardaban `field_values` directamente
+function requestFieldEntries(request) {
+  const details = request.payment_details || {};
+  if (Array.isArray(details.entries)) return details.entries;
+  return [{ game_name: request.game_name, field_values: details.field_values || {} }];
+}
+
+function topEntries(counts, n = 5) {
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, n);
+}
+
+function buildSalesReport(requests) {
+  const report = {
+    total: requests.length,
+    completed: 0,
+    open: 0,
+    cancelled: 0,
+    revenueCard: 0,
+    revenueMobile: 0,
+    revenueUsd: 0,
+    games: {},
+    offers: {},
+    completionMs: 0
+  };
+  for (const request of requests) {
+    if (request.status === 'completed') {
+      report.completed++;
+      const amount = Number(request.amount) || 0;
+      if (request.payment_type === 'card') report.revenueCard += amount;
+      if (request.payment_type === 'mobile') report.revenueMobile += amount;
+      report.revenueUsd += Number(request.amount_usd) || 0;
+      if (request.completed_at) {
+        report.completionMs += new Date(request.completed_at) - new Date(request.created_at);
+      }
+      for (const item of requestItems(request)) {
+        const quantity = item.quantity || 1;
+        report.games[item.game_name] = (report.games[item.game_name] || 0) + quantity;
+        const offerKey = `${item.game_name} - ${item.description}`;
+        report.offers[offerKey] = (report.offers[offerKey] || 0) + quantity;
+      }
+    } else if (['pending', 'processing'].includes(request.status)) {
+      report.open++;
+    } else {
+      report.cancelled++;
+    }
+  }
+  report.revenueUsd = Math.round(report.revenueUsd * 100) / 100;
+  report.avgCompletionMinutes = report.completed ? Math.round(report.completionMs / report.completed / 60000) : null;
+  return report;
+}
+
+function formatSalesReport(report, label) {
+  let text = `📊 *Reporte de ventas (${label})*\n\n`;
+  text += `🧾 Solicitudes: ${report.total}\n`;
+  text += `   ✅ Completadas: ${report.completed}\n`;
+  text += `   ⏳ Pendientes/en proceso: ${report.open}\n`;
+  text += `   ❌ Canceladas (rechazadas, expiradas, reembolsadas): ${report.cancelled}\n\n`;
+  text += `💰 *Ingresos (completadas):*\n`;
+  text += `   💳 Tarjeta: ${report.revenueCard} CUP\n`;
+  text += `   📲 Saldo móvil: ${report.revenueMobile} CUP\n`;
+  text += `   💵 Equivalente en USD: ${report.revenueUsd.toFixed(2)} USD\n`;
+  const games = topEntries(report.games);
+  if (games.length) {
+    text += `\n🎮 *Juegos más vendidos:*\n`;
+    games.forEach(([name, count], i) => text += `   ${i + 1}. ${name} (${count})\n`);
+  }
+  const offers = topEntries(report.offers);
+  if (offers.length) {
+    text += `\n🏷️ *Ofertas más vendidas:*\n`;
+    offers.forEach(([name, count], i) => text += `   ${i + 1}. ${name} (${count})\n`);
+  }
+  if (report.avgCompletionMinutes !== null) {
+    const hours = Math.floor(report.avgCompletionMinutes / 60);
+    const minutes = report.avgCompletionMinutes % 60;
+    text += `\n⏱️ Tiempo medio hasta completar: ${hours ? `${hours} h ` : ''}${minutes} min\n`;
+  }
+  return text;
+}
+
+// ========== EXPORTACIONES ==========
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(c => csvEscape(row[c])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+const REQUEST_EXPORT_COLUMNS = [
+  'id', 'created_at', 'status', 'user', 'game_name', 'offer_desc', 'payment_type', 'payment_method',
+  'amount', 'amount_usd', 'fields', 'screenshot_url', 'claimed_by', 'status_changed_at', 'completed_at', 'status_reason'
+];
+
+const CATALOG_EXPORT_COLUMNS = [
+  'game_number', 'game_name', 'offer_number', 'description', 'price_mobile', 'price_card', 'price_usd', 'fields'
+];
+
+async function getCatalogSnapshot() {
+  const games = await getGames();
+  const catalog = [];
+  for (const game of games) {
+    catalog.push({
+      ...game,
+      offers: await getOffersByGameId(game.id),
+      fields: await getGameFields(game.id)
+    });
+  }
+  return { games: catalog, payment_methods: await getPaymentMethods() };
+}
+
+// Formato por defecto, igual por WhatsApp y por HTTP: el catálogo en JSON (es la copia
+// completa, con métodos de pago) y las solicitudes en CSV para abrirlas en una hoja de cálculo
+function defaultExportFormat(kind) {
+  return kind === 'catalogo' ? 'json' : 'csv';
+}
+
+// Devuelve { buffer, fileName, mimetype } para enviar por WhatsApp o HTTP
+async function buildExport(kind, format, period) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  let content;
+  if (kind === 'solicitudes') {
+    const requests = await getRequestsBetween(period.from, period.to);
+    if (format === 'json') {
+      content = JSON.stringify(requests, null, 2);
+    } else {
+      content = toCsv(REQUEST_EXPORT_COLUMNS, requests.map(r => ({
+        ...r,
+        user: `+${r.user_jid.split('@')[0]}`,
+        fields: Object.fromEntries(requestFieldEntries(r).map(e => [e.game_name, e.field_values]))
+      })));
+    }
+  } else {
+    const snapshot = await getCatalogSnapshot();
+    if (format === 'json') {
+      content = JSON.stringify(snapshot, null, 2);
+    } else {
+      const rows = [];
+      for (const game of snapshot.games) {
+        // Los campos van como JSON con sus reglas para que reimportar el CSV no las pierda
+        const fields = JSON.stringify(game.fields.map(f => ({
+          field_name: f.field_name,
+          field_order: f.field_order,
+          required: f.required !== false,
+          ...pickFieldRules(f)
+        })));
+        for (const offer of game.offers) {
+          rows.push({
+            game_number: game.number,
+            game_name: game.name,
+            offer_number: offer.number,
+            description: offer.description,
+            price_mobile: offer.price_mobile,
+            price_card: offer.price_card,
+            price_usd: offer.price_usd,
+            fields
+          });
+        }
+      }
+      content = toCsv(CATALOG_EXPORT_COLUMNS, rows);
+    }
+  }
+  return {
+    buffer: Buffer.from(content, 'utf8'),
+    fileName: `${kind}-${stamp}.${format}`,
+    mimetype: format === 'json' ? 'application/json' : 'text/csv'
+  };
+}
+
+// ========== IMPORTACIÓN DE CATÁLOGO ==========
+// CSV con comillas dobles al estilo RFC 4180; devuelve un objeto por fila usando la cabecera
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  const nonEmpty = rows.filter(r => r.some(c => c.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+  const header = nonEmpty[0].map(h => h.trim().replace(/^\uFEFF/, ''));
+  return nonEmpty.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, (r[i] || '').trim()])));
+}
+
+// Convierte las filas del CSV exportado (una por oferta) al formato JSON del catálogo
+// La columna "fields" es una lista JSON con las reglas de cada campo (como la exporta
+// /exportar catalogo csv) o solo nombres separados por ";". En ese último caso las reglas de
+// los campos existentes no se tocan (rules_known: false).
+function csvFieldsCell(cell) {
+  const text = (cell || '').trim();
+  if (text.startsWith('[')) return JSON.parse(text);
+  return text.split(';').map(f => f.trim()).filter(Boolean)
+    .map((field_name, i) => ({ field_name, field_order: i + 1, rules_known: false }));
+}
+
+function csvRowsToCatalog(rows) {
+  const games = new Map();
+  for (const row of rows) {
+    const key = row.game_number;
+    if (!games.has(key)) {
+      games.set(key, {
+        number: row.game_number,
+        name: row.game_name,
+        offers: [],
+        fields: csvFieldsCell(row.fields)
+      });
+    }
+    if (row.offer_number) {
+      games.get(key).offers.push({
+        number: row.offer_number,
+        description: row.description,
+        price_mobile: row.price_mobile,
+        price_card: row.price_card,
+        price_usd: row.price_usd
+      });
+    }
+  }
+  return { games: [...games.values()] };
+}
+
+function toPrice(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+// Valida y normaliza el catálogo; devuelve { catalog, errors }
+function normalizeCatalog(raw) {
+  const errors = [];
+  const games = [];
+  if (!raw || !Array.isArray(raw.games)) {
+    return { catalog: null, errors: ['El archivo debe tener una lista "games".'] };
+  }
+  const gameNumbers = new Set();
+  raw.games.forEach((g, gi) => {
+    const number = parseInt(g.number, 10);
+    const name = String(g.name || '').trim();
+    const where = `Juego #${g.number ?? gi + 1}`;
+    if (!number || number < 1) errors.push(`${where}: número inválido.`);
+    else if (gameNumbers.has(number)) errors.push(`${where}: número repetido.`);
+    gameNumbers.add(number);
+    if (!name) errors.push(`${where}: falta el nombre.`);
+
+    const offers = [];
+    const offerNumbers = new Set();
+    (g.offers || []).forEach(o => {
+      const offerNumber = parseInt(o.number, 10);
+      const offerWhere = `${where}, oferta #${o.number}`;
+      const offer = {
+        number: offerNumber,
+        description: String(o.description || '').trim(),
+        price_mobile: toPrice(o.price_mobile),
+        price_card: toPrice(o.price_card),
+        price_usd: toPrice(o.price_usd)
+      };
+      if (!offerNumber || offerNumber < 1) errors.push(`${offerWhere}: número inválido.`);
+      else if (offerNumbers.has(offerNumber)) errors.push(`${offerWhere}: número repetido.`);
+      offerNumbers.add(offerNumber);
+      if (!offer.description) errors.push(`${offerWhere}: falta la descripción.`);
+      if (offer.price_mobile === null || Number.isNaN(offer.price_mobile)) errors.push(`${offerWhere}: precio móvil inválido.`);
+      if (offer.price_card === null || Number.isNaN(offer.price_card)) errors.push(`${offerWhere}: precio tarjeta inválido.`);
+      if (Number.isNaN(offer.price_usd)) errors.push(`${offerWhere}: precio USD inválido.`);
+      offers.push(offer);
+    });
+
+    const fields = (g.fields || []).map((f, fi) => ({
+      field_name: String(f.field_name || '').trim(),
+      field_order: parseInt(f.field_order, 10) || fi + 1,
+      required: f.required !== false && f.required !== 'false',
+      ...pickFieldRules(f),
+      ...(f.rules_known === false ? { rules_known: false } : {})
+    }));
+    fields.forEach(f => {
+      if (!f.field_name) errors.push(`${where}: hay un campo sin nombre.`);
+      const problem = f.pattern ? patternProblem(f.pattern) : null;
+      if (problem) errors.push(`${where}, campo "${f.field_name}": regex inválida (${problem}).`);
+    });
+    games.push({ number, name, description: g.description || '', offers, fields });
+  });
+  return { catalog: { games }, errors };
+}
+
+// Reglas de validación de un campo tal como vienen en un catálogo JSON
+function pickFieldRules(f) {
+  return {
+    field_type: f.field_type || 'text',
+    pattern: f.pattern || null,
+    min_length: f.min_length ?? null,
+    max_length: f.max_length ?? null,
+    choices: f.choices || null,
+    help_text: f.help_text || null
+  };
+}
+
+function sameFieldRules(a, b) {
+  return JSON.stringify(pickFieldRules(a)) === JSON.stringify(pickFieldRules(b));
+}
+
+function parseCatalogDocument(buffer, fileName) {
+  const text = buffer.toString('utf8');
+  const isJson = /\.json$/i.test(fileName || '') || /^\s*[{[]/.test(text);
+  if (isJson) {
+    const raw = JSON.parse(text);
+    return normalizeCatalog(Array.isArray(raw) ? { games: raw } : raw);
+  }
+  return normalizeCatalog(csvRowsToCatalog(parseCsv(text)));
+}
+
+function samePrice(a, b) {
+  if (a === null || a === undefined || a === '') return b === null;
+  return b !== null && Number(a) === Number(b);
+}
+
+// Compara el catálogo importado con la base de datos. Los juegos que no vienen en el
+// archivo no se tocan; dentro de cada juego importado, las ofertas y campos ausentes se borran.
+async function computeCatalogDiff(catalog) {
+  const pricing = await getPricingSettings();
+  const ops = [];
+  for (const game of catalog.games) {
+    const existing = await getGameByNumber(game.number);
+    if (!existing) {
+      ops.push({ action: 'create', entity: 'game', game });
+      game.offers.forEach(offer => ops.push({ action: 'create', entity: 'offer', game_number: game.number, offer }));
+      game.fields.forEach(field => ops.push({ action: 'create', entity: 'field', game_number: game.number, field }));
+      continue;
+    }
+    if (existing.name !== game.name) {
+      ops.push({ action: 'update', entity: 'game', game_id: existing.id, before: existing.name, game });
+    }
+
+    const offers = await getOffersByGameId(existing.id);
+    for (const offer of game.offers) {
+      const current = offers.find(o => o.number === offer.number);
+      if (!current) {
+        ops.push({ action: 'create', entity: 'offer', game_number: game.number, offer });
+        continue;
+      }
+      // Con precio automático los precios CUP del archivo se ignoran: se recalculan desde USD
+      const autoPrice = hasAutoPrice(current, pricing, offer.price_usd);
+      if (
+        current.description !== offer.description ||
+        (!autoPrice && !samePrice(current.price_mobile, offer.price_mobile)) ||
+        (!autoPrice && !samePrice(current.price_card, offer.price_card)) ||
+        !samePrice(current.price_usd, offer.price_usd)
+      ) {
+        ops.push({ action: 'update', entity: 'offer', game_number: game.number, offer_id: current.id, before: current, offer, auto_price: autoPrice });
+      }
+    }
+    offers.filter(o => !game.offers.some(n => n.number === o.number)).forEach(o => {
+      ops.push({ action: 'delete', entity: 'offer', game_number: game.number, offer_id: o.id, before: o });
+    });
+
+    const fields = await getGameFields(existing.id);
+    for (const field of game.fields) {
+      const current = fields.find(f => f.field_name === field.field_name);
+      if (!current) {
+        ops.push({ action: 'create', entity: 'field', game_number: game.number, field });
+      } else if (field.rules_known === false) {
+        // CSV con solo nombres: únicamente se puede cambiar el orden
+        if (current.field_order !== field.field_order) {
+          ops.push({ action: 'update', entity: 'field', game_number: game.number, field_id: current.id, field });
+        }
+      } else if (current.field_order !== field.field_order || current.required !== field.required || !sameFieldRules(current, field)) {
+        ops.push({ action: 'update', entity: 'field', game_number: game.number, field_id: current.id, field });
+      }
+    }
+    fields.filter(f => !game.fields.some(n => n.field_name === f.field_name)).forEach(f => {
+      ops.push({ action: 'delete', entity: 'field', game_number: game.number, game_id: existing.id, before: f });
+    });
+  }
+  return ops;
+}
+
+function formatOfferPrices(o) {
+  let text = `📲 ${o.price_mobile} / 💳 ${o.price_card}`;
+  if (o.price_usd) text += ` / 💵 ${o.price_usd}`;
+  return text;
+}
+
+function formatCatalogDiff(ops) {
+  const icons = { create: '➕', update: '✏️', delete: '🗑️' };
+  const lines = ops.map(op => {
+    const icon = icons[op.action];
+    if (op.entity === 'game') {
+      return op.action === 'create'
+        ? `${icon} Juego ${op.game.number}: ${op.game.name}`
+        : `${icon} Juego ${op.game.number}: "${op.before}" → "${op.game.name}"`;
+    }
+    if (op.entity === 'offer') {
+      if (op.action === 'create') return `${icon} Oferta ${op.game_number}/${op.offer.number}: ${op.offer.description} (${formatOfferPrices(op.offer)})`;
+      if (op.action === 'delete') return `${icon} Oferta ${op.game_number}/${op.before.number}: ${op.before.description}`;
+      if (op.auto_price) {
+        const usd = samePrice(op.before.price_usd, op.offer.price_usd) ? '' : `, 💵 ${op.before.price_usd} → ${op.offer.price_usd}`;
+        return `${icon} Oferta ${op.game_number}/${op.offer.number}: ${op.offer.description} (precio automático desde USD${usd})`;
+      }
+      return `${icon} Oferta ${op.game_number}/${op.offer.number}: ${op.offer.description} (${formatOfferPrices(op.before)} → ${formatOfferPrices(op.offer)})`;
+    }
+    if (op.action === 'delete') return `${icon} Campo del juego ${op.game_number}: ${op.before.field_name}`;
+    if (op.action === 'update' && op.field.rules_known === false) return `${icon} Campo del juego ${op.game_number}: ${op.field.field_name} (orden ${op.field.field_order})`;
+    return `${icon} Campo del juego ${op.game_number}: ${op.field.field_name} (${formatFieldRules(op.field)}, orden ${op.field.field_order})`;
+  });
+  const count = action => ops.filter(op => op.action === action).length;
+  let text = `📥 *Vista previa de la importación*\n\n${lines.join('\n')}\n\n`;
+  text += `Total: ${count('create')} a crear, ${count('update')} a actualizar, ${count('delete')} a borrar.`;
+  return text;
+}
+
+async function applyCatalogDiff(ops) {
+  let applied = 0;
+  const errors = [];
+  const gameIds = {};
+  const gameIdFor = async (number) => {
+    if (!gameIds[number]) gameIds[number] = (await getGameByNumber(number))?.id;
+    return gameIds[number];
+  };
+  for (const op of ops) {
+    try {
+      if (op.entity === 'game') {
+        if (op.action === 'create') await createGame(op.game.number, op.game.name, op.game.description);
+        else await updateGame(op.game_id, { name: op.game.name });
+      } else if (op.entity === 'offer') {
+        const o = op.offer;
+        if (op.action === 'create') await createOffer(await gameIdFor(op.game_number), o.number, o.description, o.price_mobile, o.price_card, o.price_usd);
+        else if (op.action === 'update' && op.auto_price) await updateOffer(op.offer_id, { description: o.description, price_usd: o.price_usd });
+        else if (op.action === 'update') await updateOffer(op.offer_id, { description: o.description, price_mobile: o.price_mobile, price_card: o.price_card, price_usd: o.price_usd });
+        else await deleteOffer(op.offer_id);
+      } else {
+        const f = op.field;
+        if (op.action === 'create') await createGameField(await gameIdFor(op.game_number), f.field_name, f.field_order, f.required, pickFieldRules(f));
+        else if (op.action === 'update' && f.rules_known === false) await updateGameField(op.field_id, { field_order: f.field_order });
+        else if (op.action === 'update') await updateGameField(op.field_id, { field_order: f.field_order, required: f.required, ...pickFieldRules(f) });
+        else await deleteGameField(op.game_id, op.before.field_name);
+      }
+      applied++;
+    } catch (err) {
+      errors.push(`${op.entity} ${op.action}: ${err.message}`);
+    }
+  }
+  return { applied, errors };
+}
+
+function getDocumentMessage(msg) {
+  return msg.message?.documentMessage || msg.message?.documentWithCaptionMessage?.message?.documentMessage || null;
+}
+
+// ========== AJUSTE MASIVO DE PRECIOS ==========
+const PRICE_COLUMNS = {
+  tarjeta: 'price_card',
+  movil: 'price_mobile',
+  móvil: 'price_mobile',
+  usd: 'price_usd'
+};
+
+const PRICE_COLUMN_ICONS = { price_card: '💳', price_mobile: '📲', price_usd: '💵' };
+
+// "+10%", "-50" o "=700"; devuelve { mode, value } o null
+function parsePriceAdjustment(token) {
+  const match = (token || '').match(/^([+\-=])?(\d+(?:[.,]\d+)?)(%)?$/);
+  if (!match) return null;
+  const value = parseFloat(match[2].replace(',', '.'));
+  if (match[1] === '=') return match[3] ? null : { mode: 'set', value };
+  const sign = match[1] === '-' ? -1 : 1;
+  if (!match[1] && !match[3]) return null;
+  return { mode: match[3] ? 'percent' : 'delta', value: sign * value };
+}
+
+function applyPriceAdjustment(current, adjustment, column) {
+  if (adjustment.mode === 'set') return adjustment.value;
+  if (current === null || current === undefined) return null;
+  const base = Number(current);
+  const next = adjustment.mode === 'percent' ? base * (1 + adjustment.value / 100) : base + adjustment.value;
+  const clamped = Math.max(next, 0);
+  // Los precios en CUP son enteros; USD con dos decimales
+  return column === 'price_usd' ? Math.round(clamped * 100) / 100 : Math.round(clamped);
+}
+
+// Devuelve { changes, autoPriced }: las ofertas con precio automático no cambian sus
+// columnas CUP (se recalculan desde USD al confirmar), solo se cuentan en autoPriced
+async function computePriceChanges(games, columns, adjustment) {
+  const pricing = await getPricingSettings();
+  const changes = [];
+  let autoPriced = 0;
+  for (const game of games) {
+    const offers = await getOffersByGameId(game.id);
+    for (const offer of offers) {
+      const updates = {};
+      const before = {};
+      const skipCup = hasAutoPrice(offer, pricing);
+      if (skipCup && columns.some(c => c !== 'price_usd')) autoPriced++;
+      for (const column of columns) {
+        if (skipCup && column !== 'price_usd') continue;
+        const next = applyPriceAdjustment(offer[column], adjustment, column);
+        if (next === null || samePrice(offer[column], next)) continue;
+        updates[column] = next;
+        before[column] = offer[column];
+      }
+      if (Object.keys(updates).length > 0) {
+        changes.push({ offer_id: offer.id, label: `${game.number}/${offer.number} ${offer.description}`, before, updates });
+      }
+    }
+  }
+  return { changes, autoPriced };
+}
+
+function autoPricedNotice(count) {
+  return `ℹ️ ${count} ofertas tienen precio automático: sus precios en tarjeta y móvil se calculan desde USD y no se ajustan. Cambia su precio USD o la tasa (/tasa).`;
+}
+
+function formatPriceChanges(changes, autoPriced = 0) {
+  let text = `💲 *Vista previa del ajuste de precios* (${changes.length} ofertas)\n\n`;
+  text += changes.map(c => {
+    const cols = Object.keys(c.updates).map(col => `${PRICE_COLUMN_ICONS[col]} ${c.before[col] ?? '-'} → ${c.updates[col]}`);
+    return `${c.label}: ${cols.join(' | ')}`;
+  }).join('\n');
+  if (autoPriced) text += `\n\n${autoPricedNotice(autoPriced)}`;
+  return text;
+}
+
+// ========== TASA DE CAMBIO ==========
+// Márgenes en porcentaje sobre el precio USD convertido (ej: recargo del saldo móvil)
+const DEFAULT_PRICING = { usd_rate: null, margin_card: 0, margin_mobile: 0 };
+
+async function getPricingSettings() {
+  return { ...DEFAULT_PRICING, ...(await getSetting('pricing', {})) };
+}
+
+function deriveCupPrices(priceUsd, pricing) {
+  const base = Number(priceUsd) * Number(pricing.usd_rate);
+  return {
+    price_card: Math.round(base * (1 + Number(pricing.margin_card) / 100)),
+    price_mobile: Math.round(base * (1 + Number(pricing.margin_mobile) / 100))
+  };
+}
+
+// Recalcula los precios CUP de las ofertas con precio automático; devuelve cuántas cambiaron
+// Si la oferta tiene sus precios CUP calculados desde USD (recalculateAutoPrices los pisa)
+function hasAutoPrice(offer, pricing, priceUsd = offer.price_usd) {
+  return !!(offer.auto_price && priceUsd && pricing.usd_rate);
+}
+
+async function recalculateAutoPrices() {
+  const pricing = await getPricingSettings();
+  if (!pricing.usd_rate) return 0;
+  const offers = await getAutoPricedOffers();
+  let updated = 0;
+  for (const offer of offers) {
+    if (!hasAutoPrice(offer, pricing)) continue;
+    const prices = deriveCupPrices(offer.price_usd, pricing);
+    if (samePrice(offer.price_card, prices.price_card) && samePrice(offer.price_mobile, prices.price_mobile)) continue;
+    await updateOffer(offer.id, prices);
+    updated++;
+  }
+  return updated;
+}
+
+function formatPricing(pricing) {
+  let text = '💱 *Tasa de cambio*\n\n';
+  text += `💵 1 USD = ${pricing.usd_rate ?? '(sin definir)'} CUP\n`;
+  text += `💳 Margen tarjeta: ${pricing.margin_card}%\n`;
+  text += `📲 Margen saldo móvil: ${pricing.margin_mobile}%\n`;
+  return text;
+}
+
+// ========== HORARIO DE ATENCIÓN ==========
+// Se guarda en settings.business_hours: { timezone, days: { 0..6: "09:00-18:00" } }, 0 = domingo.
+// Sin horario configurado la tienda se considera siempre abierta.
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+const DEFAULT_TIMEZONE = process.env.TZ || 'America/Havana';
+
+async function getBusinessHours() {
+  return { timezone: DEFAULT_TIMEZONE, days: {}, ...(await getSetting('business_hours', {})) };
+}
+
+function parseWeekday(name) {
+  const normalized = name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return WEEKDAYS.findIndex(d => d.normalize('NFD').replace(/[\u0300-\u036f]/g, '') === normalized);
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// "09:00-18:00" -> { open, close } en minutos, o null si no es válido
+function parseTimeRange(range) {
+  const match = (range || '').match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const open = +match[1] * 60 + +match[2];
+  const close = +match[3] * 60 + +match[4];
+  if (open >= close || close > 24 * 60) return null;
+  return { open, close };
+}
+
+// Día de la semana y minutos desde medianoche en la zona horaria de la tienda
+function zonedNow(timezone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = type => parts.find(p => p.type === type).value;
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+  return { day, minutes: +get('hour') * 60 + +get('minute') };
+}
+
+// Instante de una hora del calendario (año, mes, día, h, min, s, ms) en la zona horaria dada.
+// Date.UTC acepta días fuera de rango, así que day + 1 es el día siguiente.
+function zonedTime(timezone, year, month, day, hours = 0, minutes = 0, seconds = 0, ms = 0) {
+  const target = Date.UTC(year, month - 1, day, hours, minutes, seconds, ms);
+  const offsetAt = instant => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(instant));
+    const get = type => +parts.find(p => p.type === type).value;
+    const wall = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'), instant % 1000);
+    return wall - instant;
+  };
+  // Se corrige dos veces por si entre medias hay un cambio de horario
+  let instant = target - offsetAt(target);
+  instant = target - offsetAt(instant);
+  return new Date(instant);
+}
+
+// Último milisegundo del día en la zona horaria dada
+function zonedEndOfDay(timezone, year, month, day) {
+  return zonedTime(timezone, year, month, day, 23, 59, 59, 999);
+}
+
+// Fecha del calendario { year, month, day, weekday } en la zona horaria dada (weekday 0 = domingo)
+function zonedDate(timezone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).formatToParts(date);
+  const get = type => +parts.find(p => p.type === type).value;
+  const [year, month, day] = [get('year'), get('month'), get('day')];
+  return { year, month, day, weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay() };
+}
+
+function isOpenNow(hours, date = new Date()) {
+  if (Object.keys(hours.days).length === 0) return true;
+  const { day, minutes } = zonedNow(hours.timezone, date);
+  const range = parseTimeRange(hours.days[day]);
+  return !!range && minutes >= range.open && minutes < range.close;
+}
+
+// "hoy a las 9:00", "mañana a las 9:00" o "el lunes a las 9:00"
+function nextOpeningLabel(hours, date = new Date()) {
+  const { day, minutes } = zonedNow(hours.timezone, date);
+  for (let offset = 0; offset < 8; offset++) {
+    const weekday = (day + offset) % 7;
+    const range = parseTimeRange(hours.days[weekday]);
+    if (!range || (offset === 0 && minutes >= range.open)) continue;
+    const time = `${Math.floor(range.open / 60)}:${String(range.open % 60).padStart(2, '0')}`;
+    if (offset === 0) return `hoy a las ${time}`;
+    if (offset === 1) return `mañana a las ${time}`;
+    return `el ${WEEKDAYS[weekday]} a las ${time}`;
+  }
+  return 'en cuanto abramos';
+}
+
+async function closedNotice() {
+  const hours = await getBusinessHours();
+  if (isOpenNow(hours)) return null;
+  return `🌙 Estamos cerrados, te atenderemos ${nextOpeningLabel(hours)}. Puedes hacer tu pedido igualmente y lo procesaremos al abrir.`;
+}
+
+function formatBusinessHours(hours) {
+  let text = `🕘 *Horario de atención* (${hours.timezone})\n\n`;
+  if (Object.keys(hours.days).length === 0) return text + 'Sin horario configurado: siempre abierto.';
+  WEEKDAYS.forEach((name, i) => {
+    text += `${name}: ${hours.days[i] || 'cerrado'}\n`;
+  });
+  text += `\nAhora: ${isOpenNow(hours) ? '🟢 abierto' : '🔴 cerrado'}`;
+  return text;
+}
+
+// Al abrir, envía a los admins un resumen de las solicitudes recibidas fuera de horario
+async function sendQueuedDigest() {
+  if (!sock) return;
+  if (!isOpenNow(await getBusinessHours())) return;
+  const requests = await getQueuedRequests();
+  if (requests.length === 0) return;
+  // Las que ya expiraron o se gestionaron durante la noche no se listan, pero se marcan igual
+  const open = requests.filter(r => ['pending', 'processing'].includes(r.status));
+  if (open.length > 0) {
+    let digest = `☀️ *Solicitudes recibidas fuera de horario: ${open.length}*\n\n`;
+    digest += open.map(formatRequestLine).join('\n\n');
+    digest += '\n\n_Usa /solicitud ID para ver el detalle y /tomar ID para asignártela._';
+    // Un admin inalcanzable no debe hacer que el resumen se repita cada minuto a los demás
+    for (const adminJid of await getAdminJids()) {
+      try {
+        await sendLongMessage(adminJid, digest);
+      } catch (err) {
+        console.error(`Error enviando el resumen a ${adminJid}:`, err.message);
+      }
+    }
+  }
+  for (const request of requests) {
+    await updateRequest(request.id, { admin_notified: true });
+  }
+}
+
+// ========== WEBHOOKS ==========
+// Eventos: request.created y request.<estado> en cada cambio (request.completed, request.rejected...).
+// Cada entrega se firma con HMAC-SHA256 del cuerpo usando el secreto del webhook
+// (cabecera X-Signature: sha256=...) y se reintenta con espera creciente si falla.
+const WEBHOOK_EVENTS = ['request.created', ...Object.keys(REQUEST_STATUS_LABELS).filter(s => s !== 'pending').map(s => `request.${s}`)];
+const WEBHOOK_RETRY_MINUTES = [1, 5, 15, 60, 240];
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+function webhookWantsEvent(webhook, event) {
+  const events = webhook.events || [];
+  return events.length === 0 || events.includes('*') || events.includes(event);
+}
+
+function signWebhookBody(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Registra una entrega por cada webhook suscrito y la intenta enseguida. Nunca lanza:
+// un webhook caído no debe afectar al flujo del pedido.
+async function emitWebhookEvent(event, requestId) {
+  try {
+    const webhooks = (await getWebhooks()).filter(w => w.active !== false && webhookWantsEvent(w, event));
+    if (webhooks.length === 0) return;
+    const request = await getRequest(requestId);
+    if (!request) return;
+    const payload = { event, created_at: new Date().toISOString(), data: apiRequest(request) };
+    for (const webhook of webhooks) {
+      const delivery = await createWebhookDelivery({
+        webhook_id: webhook.id,
+        event,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        // El reintento periódico no la recoge mientras dura este primer intento
+        next_attempt_at: new Date(Date.now() + WEBHOOK_RETRY_MINUTES[0] * 60 * 1000).toISOString()
+      });
+      deliverWebhook(delivery, webhook).catch(err => console.error('Error entregando webhook:', err.message));
+    }
+  } catch (err) {
+    console.error(`Error emitiendo ${event}:`, err.message);
+  }
+}
+
+async function deliverWebhook(delivery, webhook = null) {
+  webhook = webhook || (await getWebhookById(delivery.webhook_id));
+  if (!webhook || webhook.active === false) {
+    await updateWebhookDelivery(delivery.id, { status: 'failed', last_error: 'Webhook eliminado o desactivado' });
     return;
   }
-  if (command === '/listar' && parts[1] === 'metodos') {
-    const cards = await getPaymentMethods('card');
-    const mobiles = await getPaymentMethods('mobile');
-    let reply = '*Métodos de pago:*\n';
-    if (cards.length) {
-      reply += '\n💳 Tarjetas:\n';
-      cards.forEach(c => reply += `${numberToEmoji(c.number)} ${c.label} (ID: ${c.id})\n`);
-    }
-    if (mobiles.length) {
-      reply += '\n📲 Saldo móvil:\n';
-      mobiles.forEach(m => reply += `${numberToEmoji(m.number)} ${m.label} (ID: ${m.id})\n`);
-    }
-    if (!cards.length && !mobiles.length) reply += 'No hay métodos configurados.';
-    await sendMessage(jid, reply);
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+  const attempts = (delivery.attempts || 0) + 1;
+  let responseStatus = null;
+  let lastError = null;
+  try {
+    const res = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Signature': signWebhookBody(webhook.secret, body)
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    responseStatus = res.status;
+    if (!res.ok) lastError = `HTTP ${res.status}`;
+  } catch (err) {
+    lastError = err.message;
+  }
+
+  if (!lastError) {
+    await updateWebhookDelivery(delivery.id, { status: 'delivered', attempts, response_status: responseStatus, last_error: null, delivered_at: new Date().toISOString() });
     return;
   }
+  const delay = WEBHOOK_RETRY_MINUTES[attempts - 1];
+  await updateWebhookDelivery(delivery.id, {
+    status: delay ? 'pending' : 'failed',
+    attempts,
+    response_status: responseStatus,
+    last_error: lastError,
+    next_attempt_at: delay ? new Date(Date.now() + delay * 60 * 1000).toISOString() : null
+  });
+}
 
-  // Comandos de borrado
-  if (command === '/borrar' && parts[1] === 'juego' && parts[2]) {
-    const gameNumber = emojiToNumber(parts[2]);
-    const game = await getGameByNumber(gameNumber);
-    if (!game) {
-      await sendMessage(jid, '❌ Juego no encontrado.');
-      return;
+// Con varios destinos caídos una pasada puede durar más que el intervalo: no se solapan,
+// para no enviar ni contar dos veces la misma entrega
+let retryingWebhooks = false;
+
+async function retryWebhookDeliveries() {
+  if (retryingWebhooks) return;
+  retryingWebhooks = true;
+  try {
+    for (const delivery of await getDueWebhookDeliveries()) {
+      await deliverWebhook(delivery);
     }
-    await deleteGame(game.id);
-    await sendMessage(jid, `✅ Juego *${game.name}* eliminado.`);
-    return;
+  } finally {
+    retryingWebhooks = false;
   }
-  if (command === '/borrar' && parts[1] === 'oferta' && parts[2] && parts[3]) {
-    const gameNumber = emojiToNumber(parts[2]);
-    const offerNumber = emojiToNumber(parts[3]);
-    const game = await getGameByNumber(gameNumber);
-    if (!game) {
-      await sendMessage(jid, '❌ Juego no encontrado.');
-      return;
+}
+
+const WEBHOOK_STATUS_ICONS = { pending: '⏳', delivered: '✅', failed: '❌' };
+
+function formatWebhookDelivery(delivery) {
+  let line = `${WEBHOOK_STATUS_ICONS[delivery.status] || '•'} #${delivery.id} ${delivery.event} (webhook #${delivery.webhook_id}) - ${formatDate(delivery.created_at)}`;
+  line += `\n   Intentos: ${delivery.attempts || 0}`;
+  if (delivery.response_status) line += `, HTTP ${delivery.response_status}`;
+  if (delivery.last_error) line += `, error: ${delivery.last_error}`;
+  if (delivery.status === 'pending' && delivery.attempts) line += `\n   Próximo intento: ${formatDate(delivery.next_attempt_at)}`;
+  return line;
+}
+
+// ========== PROVEEDORES DE RECARGA AUTOMÁTICA ==========
+// Un juego se enlaza a un proveedor (games.provider) y cada oferta tiene su código en el
+// proveedor (offers.sku). Cada proveedor implementa:
+//   placeOrder({ sku, quantity, fieldValues, reference }) -> { orderId, status, message }
+//   checkOrder(orderId) -> { status, message }
+// con status 'pending' | 'success' | 'failed'.
+const FULFILLMENT_PROVIDERS = {
+  // Para pruebas: los SKU que contienen "fail" fallan y los que contienen "slow"
+  // quedan pendientes hasta la siguiente consulta.
+  mock: {
+    label: 'Proveedor de prueba',
+    async placeOrder({ sku }) {
+      const orderId = `MOCK-${crypto.randomBytes(4).toString('hex')}`;
+      if (/fail/i.test(sku)) return { orderId, status: 'failed', message: 'Fallo simulado' };
+      return { orderId, status: /slow/i.test(sku) ? 'pending' : 'success', message: null };
+    },
+    async checkOrder() {
+      return { status: 'success', message: null };
     }
-    const offer = await getOfferByGameAndNumber(game.id, offerNumber);
-    if (!offer) {
-      await sendMessage(jid, '❌ Oferta no encontrada.');
-      return;
+  },
+
+  // API HTTP del proveedor: POST /orders y GET /orders/:id con Bearer SUPPLIER_API_TOKEN
+  supplier: {
+    label: 'API del proveedor',
+    async placeOrder({ sku, quantity, fieldValues, reference }) {
+      const data = await supplierRequest('POST', '/orders', { sku, quantity, fields: fieldValues, reference });
+      return { orderId: String(data.id), ...normalizeSupplierStatus(data) };
+    },
+    async checkOrder(orderId) {
+      return normalizeSupplierStatus(await supplierRequest('GET', `/orders/${encodeURIComponent(orderId)}`));
     }
-    await deleteOffer(offer.id);
-    await sendMessage(jid, `✅ Oferta *${offer.description}* eliminada.`);
-    return;
   }
-  if (command === '/borrar' && (parts[1] === 'tarjeta' || parts[1] === 'saldo') && parts[2]) {
-    const type = parts[1] === 'tarjeta' ? 'card' : 'mobile';
-    const methodNumber = emojiToNumber(parts[2]);
-    const method = await getPaymentMethodByNumber(type, methodNumber);
-    if (!method) {
-      await sendMessage(jid, '❌ Método no encontrado.');
-      return;
+};
+
+async function supplierRequest(method, pathname, body) {
+  if (!SUPPLIER_API_URL) throw new Error('SUPPLIER_API_URL no configurada');
+  const res = await fetch(`${SUPPLIER_API_URL.replace(/\/$/, '')}${pathname}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${SUPPLIER_API_TOKEN || ''}` },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(30000)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || data.message || `HTTP ${res.status}`);
+  return data;
+}
+
+function normalizeSupplierStatus(data) {
+  const status = String(data.status || '').toLowerCase();
+  if (['success', 'completed', 'done'].includes(status)) return { status: 'success', message: data.message || null };
+  if (['failed', 'error', 'cancelled', 'rejected'].includes(status)) return { status: 'failed', message: data.message || status };
+  return { status: 'pending', message: data.message || null };
+}
+
+// Pedidos a lanzar para una solicitud, o null si alguna oferta no se puede automatizar
+async function getFulfillmentPlan(request) {
+  const items = requestItems(request);
+  if (items.length === 0) return null;
+  const entries = requestFieldEntries(request);
+  const plan = [];
+  for (const item of items) {
+    const offer = item.offer_id ? await getOfferById(item.offer_id) : null;
+    const game = offer ? await getGameById(offer.game_id) : null;
+    if (!offer?.sku || !game?.provider || !FULFILLMENT_PROVIDERS[game.provider]) return null;
+    const entry = entries[item.entry_index ?? 0] || entries[0] || {};
+    plan.push({
+      provider: game.provider,
+      offer_id: offer.id,
+      sku: offer.sku,
+      description: offer.description,
+      quantity: item.quantity || 1,
+      field_values: entry.field_values || {}
+    });
+  }
+  return plan;
+}
+
+async function startFulfillment(request, plan) {
+  const orders = [];
+  for (const [index, step] of plan.entries()) {
+    const { field_values: fieldValues, ...order } = step;
+    try {
+      const result = await FULFILLMENT_PROVIDERS[step.provider].placeOrder({
+        sku: step.sku,
+        quantity: step.quantity,
+        fieldValues,
+        reference: `${request.id}-${index + 1}`
+      });
+      orders.push({ ...order, order_id: result.orderId, status: result.status, message: result.message });
+    } catch (err) {
+      orders.push({ ...order, order_id: null, status: 'failed', message: err.message });
     }
-    await deletePaymentMethod(method.id);
-    await sendMessage(jid, `✅ Método *${method.label}* eliminado.`);
-    return;
   }
+  return settleFulfillment(request, orders);
+}
 
-  // Completar solicitud
-  if (command === '/completar' && parts[1]) {
-    const requestId = parts[1];
-    const request = await getRequest(requestId);
-    if (!request) {
-      await sendMessage(jid, '❌ Solicitud no encontrada.');
-      return;
+// Guarda el estado de los pedidos y, si ya terminaron todos, completa o devuelve a la cola.
+// Mientras quede alguno en curso se sigue consultando aunque otro haya fallado, para que
+// el aviso de fallo diga exactamente qué hay que recargar a mano.
+// Devuelve 'pending', 'success' o 'failed'.
+async function settleFulfillment(request, orders) {
+  const failed = orders.filter(o => o.status === 'failed');
+  const pending = orders.filter(o => o.status === 'pending');
+  const done = orders.filter(o => o.status === 'success');
+  const status = pending.length ? 'pending' : failed.length ? 'failed' : 'success';
+  await updateRequest(request.id, { fulfillment: { status, orders, updated_at: new Date().toISOString() } });
+
+  if (status === 'success') {
+    const result = await changeRequestStatus(request.id, 'completed');
+    if (result.error) {
+      console.error(`Error completando ${request.id} tras el proveedor:`, result.error);
+    } else {
+      let msg = `🤖 Solicitud ${request.id} completada automáticamente por el proveedor.`;
+      if (result.soldOut.length) msg += `\n⚠️ Se agotó el stock de: ${result.soldOut.join(', ')}`;
+      await notifyAdmins(msg);
     }
-    if (request.status === 'completed') {
-      await sendMessage(jid, '❌ Esta solicitud ya fue completada.');
-      return;
+  } else if (status === 'failed') {
+    await sendMessage(request.user_jid, `⚠️ Hubo un problema al procesar automáticamente tu solicitud #${request.id}. Un administrador la completará manualmente, no tienes que hacer nada.`);
+    let msg = `⚠️ *Falló la recarga automática de ${request.id}*\n`;
+    failed.forEach(o => msg += `\n- ${o.description} (${o.sku}): ${o.message || 'sin detalle'}`);
+    if (done.length) {
+      msg += `\n\n✅ Ya recargado por el proveedor (no lo repitas):`;
+      done.forEach(o => msg += `\n- ${o.description} (${o.sku})`);
     }
-    await completeRequest(requestId);
-    await sendMessage(request.user_jid, `✅ ¡Tu recarga de *${request.game_name}* - *${request.offer_desc}* se ha completado! Gracias.`);
-    await sendMessage(jid, `✅ Solicitud ${requestId} marcada como completada y usuario notificado.`);
-    return;
+    msg += `\n\nHaz a mano solo lo que falló y luego ejecuta /completar ${request.id}`;
+    await notifyAdmins(msg);
   }
+  return status;
+}
 
-  // Cancelar diálogo
-  if (command === '/cancelar') {
-    await clearAdminDialog(jid);
-    await sendMessage(jid, '✅ Diálogo cancelado.');
-    return;
+// Un envío sigue en 'placing' como mucho lo que tardan los pedidos al proveedor;
+// pasado este margen se da por interrumpido (p. ej. el bot se reinició a mitad)
+const FULFILLMENT_PLACING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Marca como fallido un envío interrumpido y avisa a los admins para que lo revisen
+async function abandonFulfillment(request, reason) {
+  try {
+    if (!(await failPlacingFulfillment(request.id, reason))) return;
+    await notifyAdmins(`⚠️ *El envío al proveedor de ${request.id} se interrumpió* (${reason}).\n\nComprueba en el proveedor si llegó a recargarse algo antes de hacerlo a mano y luego ejecuta /completar ${request.id}`);
+  } catch (err) {
+    console.error(`Error marcando como fallida la recarga de ${request.id}:`, err.message);
   }
+}
+
+// Una pasada lenta (proveedores que tardan en responder) no se solapa con la siguiente,
+// para no liquidar dos veces el mismo pedido ni avisar dos veces
+let pollingFulfillments = false;
 
-  await sendMessage(jid, '❌ Comando no reconocido. Usa /crear tarjeta, /crear saldo, /crear tabla, /añadir juego a #, /campos agregar # nombre, /campos quitar # nombre, /campos listar #, /editar juego #, /editar oferta # #, /editar tarjeta #, /editar saldo #, /listar juegos, /listar ofertas #, /listar metodos, /borrar juego #, /borrar oferta # #, /borrar tarjeta #, /borrar saldo #, /completar ID');
+// Consulta a los proveedores los pedidos que quedaron pendientes
+async function pollFulfillments() {
+  if (!sock || pollingFulfillments) return;
+  pollingFulfillments = true;
+  try {
+    const before = new Date(Date.now() - FULFILLMENT_PLACING_TIMEOUT_MS);
+    for (const request of await getStalePlacingRequests(before)) {
+      await abandonFulfillment(request, 'sin respuesta tras el envío');
+    }
+    for (const request of await getFulfillingRequests()) {
+      try {
+        const orders = [];
+        for (const order of request.fulfillment.orders || []) {
+          if (order.status !== 'pending') {
+            orders.push(order);
+            continue;
+          }
+          try {
+            const result = await FULFILLMENT_PROVIDERS[order.provider].checkOrder(order.order_id);
+            orders.push({ ...order, status: result.status, message: result.message });
+          } catch (err) {
+            console.error(`Error consultando pedido ${order.order_id}:`, err.message);
+            orders.push(order);
+          }
+        }
+        await settleFulfillment(request, orders);
+      } catch (err) {
+        console.error(`Error actualizando la recarga automática de ${request.id}:`, err.message);
+      }
+    }
+  } finally {
+    pollingFulfillments = false;
+  }
 }
 
+const FULFILLMENT_STATUS_LABELS = { placing: '📤 enviando', pending: '⏳ en curso', success: '✅ completada', failed: '❌ fallida' };
+
 // ========== MANEJO DE DIÁLOGOS DEL ADMIN ==========
 async function handleAdminDialog(msg, jid, text) {
   const dialog = await getAdminDialog(jid);
@@ -833,6 +4217,10 @@ async function handleAdminDialog(msg, jid, text) {
       return handleEditOfferDialog(jid, dialog, text);
     case 'editar_metodo':
       return handleEditMethodDialog(jid, dialog, text);
+    case 'importar_catalogo':
+      return handleImportCatalogDialog(msg, jid, dialog, text);
+    case 'ajustar_precios':
+      return handleAdjustPricesDialog(jid, dialog, text);
     default:
       await clearAdminDialog(jid);
       return false;
@@ -957,6 +4345,39 @@ async function handleCreateTableDialog(jid, dialog, text) {
   return false;
 }
 
+const OFFER_PRICE_LABELS = { price_mobile: 'precio móvil', price_card: 'precio tarjeta', price_usd: 'precio USD' };
+
+// Valida los datos de una oferta (chat y panel): número entero desde 1, descripción y
+// precios numéricos no negativos (USD vacío o 0 = sin precio USD).
+// Con partial solo se revisan los campos presentes. Devuelve { values } o { error }.
+function parseOfferInput(body, partial = false) {
+  const values = {};
+  const present = key => !partial || body[key] !== undefined;
+  if (present('number')) {
+    const number = Number(body.number);
+    if (!Number.isInteger(number) || number < 1) return { error: 'Número de oferta inválido' };
+    values.number = number;
+  }
+  if (present('description')) {
+    const description = String(body.description ?? '').trim();
+    if (!description) return { error: 'La descripción no puede estar vacía' };
+    values.description = description;
+  }
+  for (const [key, label] of Object.entries(OFFER_PRICE_LABELS)) {
+    if (!present(key)) continue;
+    const raw = body[key];
+    const empty = raw === null || raw === undefined || raw === '';
+    if (key === 'price_usd' && (empty || Number(raw) === 0)) {
+      values[key] = null;
+      continue;
+    }
+    const price = Number(raw);
+    if (empty || !Number.isFinite(price) || price < 0) return { error: `El ${label} no es válido` };
+    values[key] = price;
+  }
+  return { values };
+}
+
 async function handleAddOffersDialog(jid, dialog, text) {
   if (dialog.step === 1) {
     if (text.toLowerCase() === '/fin') {
@@ -1005,13 +4426,18 @@ async function handleAddOffersDialog(jid, dialog, text) {
         await sendMessage(jid, '❌ No se encontraron precios válidos.');
         return true;
       }
-      const desc = parts.slice(1, idx + 1).join(' ');
+      const input = parseOfferInput({ number, description: parts.slice(1, idx + 1).join(' '), price_mobile: mobile, price_card: card, price_usd: usd });
+      if (input.error) {
+        await sendMessage(jid, `❌ ${input.error}.`);
+        return true;
+      }
+      const desc = input.values.description;
       dialog.data.offers.push({
         number,
         desc,
         mobile,
         card,
-        usd
+        usd: input.values.price_usd
       });
       await setAdminDialog(jid, dialog.command, dialog.step, dialog.data);
       await sendMessage(jid, `✅ Oferta "${desc}" agregada. Puedes enviar otra o /fin.`);
@@ -1088,7 +4514,12 @@ async function handleEditOfferDialog(jid, dialog, text) {
         price_card: dialog.data.new_card,
         price_usd: usd
       });
-      await sendMessage(jid, '✅ Oferta actualizada correctamente.');
+      const offer = await getOfferById(dialog.data.offer_id);
+      if (offer.auto_price && (await recalculateAutoPrices()) > 0) {
+        await sendMessage(jid, '✅ Oferta actualizada. Tiene precio automático, así que sus precios CUP se recalcularon desde USD.');
+      } else {
+        await sendMessage(jid, '✅ Oferta actualizada correctamente.');
+      }
     } catch (err) {
       await sendMessage(jid, `❌ Error al actualizar: ${err.message}`);
     }
@@ -1156,6 +4587,99 @@ async function handleEditMethodDialog(jid, dialog, text) {
   return false;
 }
 
+async function handleImportCatalogDialog(msg, jid, dialog, text) {
+  if (dialog.step === 1) {
+    const document = getDocumentMessage(msg);
+    if (!document) {
+      await sendMessage(jid, '❌ Envía el archivo CSV o JSON como *documento* (o escribe "cancelar").');
+      return true;
+    }
+    let result;
+    try {
+      const buffer = await downloadMediaMessage(msg, 'buffer', {}, { logger, reuploadRequest: sock.updateMediaMessage });
+      result = parseCatalogDocument(buffer, document.fileName);
+    } catch (err) {
+      await sendMessage(jid, `❌ No se pudo leer el archivo: ${err.message}`);
+      return true;
+    }
+    if (result.errors.length > 0) {
+      const shown = result.errors.slice(0, 15).map(e => `- ${e}`).join('\n');
+      const more = result.errors.length > 15 ? `\n...y ${result.errors.length - 15} errores más.` : '';
+      await sendLongMessage(jid, `❌ El archivo tiene errores:\n${shown}${more}\n\nCorrígelo y envíalo de nuevo (o escribe "cancelar").`);
+      return true;
+    }
+    const ops = await computeCatalogDiff(result.catalog);
+    if (ops.length === 0) {
+      await sendMessage(jid, '✅ El catálogo ya está al día, no hay cambios que aplicar.');
+      await clearAdminDialog(jid);
+      return true;
+    }
+    dialog.data.catalog = result.catalog;
+    dialog.data.preview = formatCatalogDiff(ops);
+    dialog.step = 2;
+    await setAdminDialog(jid, dialog.command, dialog.step, dialog.data);
+    await sendLongMessage(jid, `${dialog.data.preview}\n\nEscribe /confirmar para aplicar los cambios o "cancelar".`);
+    return true;
+  }
+  if (dialog.step === 2) {
+    if (text.trim().toLowerCase() !== '/confirmar') {
+      await sendMessage(jid, 'Escribe /confirmar para aplicar la importación o "cancelar".');
+      return true;
+    }
+    // Se recalcula por si el catálogo cambió desde la vista previa: solo se aplica si los
+    // cambios son exactamente los que vio el admin; si no, se le muestra la nueva vista previa
+    const ops = await computeCatalogDiff(dialog.data.catalog);
+    const preview = formatCatalogDiff(ops);
+    if (ops.length === 0) {
+      await sendMessage(jid, '✅ El catálogo ya está al día, no hay cambios que aplicar.');
+      await clearAdminDialog(jid);
+      return true;
+    }
+    if (preview !== dialog.data.preview) {
+      dialog.data.preview = preview;
+      await setAdminDialog(jid, dialog.command, dialog.step, dialog.data);
+      await sendLongMessage(jid, `⚠️ El catálogo cambió desde la vista previa. Estos son los cambios actuales:\n\n${preview}\n\nEscribe /confirmar para aplicarlos o "cancelar".`);
+      return true;
+    }
+    const { applied, errors } = await applyCatalogDiff(ops);
+    const recalculated = await recalculateAutoPrices();
+    let reply = `✅ Importación aplicada: ${applied} de ${ops.length} cambios.`;
+    if (recalculated) reply += ` ${recalculated} ofertas con precio automático recalculadas desde USD.`;
+    if (errors.length) reply += `\n⚠️ Errores:\n${errors.map(e => `- ${e}`).join('\n')}`;
+    await sendLongMessage(jid, reply);
+    await clearAdminDialog(jid);
+    return true;
+  }
+  return false;
+}
+
+async function handleAdjustPricesDialog(jid, dialog, text) {
+  if (dialog.step === 1) {
+    if (text.trim().toLowerCase() !== '/confirmar') {
+      await sendMessage(jid, 'Escribe /confirmar para aplicar el ajuste de precios o "cancelar".');
+      return true;
+    }
+    let applied = 0;
+    const errors = [];
+    for (const change of dialog.data.changes) {
+      try {
+        await updateOffer(change.offer_id, change.updates);
+        applied++;
+      } catch (err) {
+        errors.push(`${change.label}: ${err.message}`);
+      }
+    }
+    const recalculated = await recalculateAutoPrices();
+    let reply = `✅ Precios actualizados en ${applied} ofertas.`;
+    if (recalculated) reply += ` ${recalculated} ofertas con precio automático recalculadas desde USD.`;
+    if (errors.length) reply += `\n⚠️ Errores:\n${errors.map(e => `- ${e}`).join('\n')}`;
+    await sendLongMessage(jid, reply);
+    await clearAdminDialog(jid);
+    return true;
+  }
+  return false;
+}
+
 // ========== INICIO DEL BOT ==========
 async function startBot() {
   console.log('🚀 Iniciando Bot de Recargas...');
@@ -1177,6 +4701,7 @@ async function startBot() {
   sock.ev.on('connection.update', (update) => {
     const { connection, lastDisconnect, qr } = update;
     if (qr) latestQR = qr;
+    if (connection) connectionStatus = connection;
     if (connection === 'close') {
       const statusCode = lastDisconnect?.error?.output?.statusCode;
       const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
@@ -1219,7 +4744,8 @@ async function startBot() {
           continue;
         }
 
-        const isAdmin = (participant === ADMIN_JID);
+        const role = await getAdminRole(participant);
+        const isAdmin = !!role;
 
         // Si es admin y hay un diálogo activo, procesarlo
         if (isAdmin) {
@@ -1229,7 +4755,7 @@ async function startBot() {
 
         // Si es admin y comienza con /, comando
         if (isAdmin && text && text.startsWith('/')) {
-          await handleAdminCommand(msg, remoteJid, text);
+          await handleAdminCommand(msg, remoteJid, text, role);
           continue;
         }
 
@@ -1256,6 +4782,346 @@ app.get('/qr', async (req, res) => {
     res.status(500).send('Error generando QR');
   }
 });
+
+// Token de administrador por cabecera Authorization: Bearer o ?token=
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ error: 'ADMIN_TOKEN no configurado' });
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const given = Buffer.from(String(token || ''));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'No autorizado' });
+  }
+  next();
+}
+
+app.get('/export/:kind', requireAdminToken, async (req, res) => {
+  const kind = { requests: 'solicitudes', catalog: 'catalogo' }[req.params.kind];
+  if (!kind) return res.status(404).json({ error: 'Exportación desconocida' });
+  const format = ['csv', 'json'].includes(req.query.format) ? req.query.format : defaultExportFormat(kind);
+  try {
+    let period = null;
+    if (kind === 'solicitudes') {
+      const args = req.query.from && req.query.to
+        ? ['desde', req.query.from, 'hasta', req.query.to]
+        : [req.query.period || 'mes'];
+      period = parseReportPeriod(args, (await getBusinessHours()).timezone);
+      if (!period) return res.status(400).json({ error: 'Periodo inválido' });
+    }
+    const file = await buildExport(kind, format, period);
+    res.set('Content-Type', `${file.mimetype}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.buffer);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========== PANEL WEB DE ADMINISTRACIÓN ==========
+// La página es estática; pide el ADMIN_TOKEN y lo envía como Bearer a /panel/api.
+app.get('/panel', (req, res) => res.sendFile(path.join(__dirname, 'panel.html')));
+
+const panel = express.Router();
+panel.use(express.json());
+panel.use(requireAdminToken);
+
+// Solo se aceptan del cuerpo las columnas editables de cada tabla
+function pickFields(body, allowed) {
+  const picked = {};
+  for (const key of allowed) {
+    if (body[key] !== undefined) picked[key] = body[key] === '' ? null : body[key];
+  }
+  return picked;
+}
+
+const GAME_FIELDS = ['number', 'name', 'description', 'active', 'stock'];
+const OFFER_FIELDS = ['number', 'description', 'price_mobile', 'price_card', 'price_usd', 'auto_price', 'active', 'stock'];
+const GAME_FIELD_FIELDS = ['field_name', 'field_order', 'required', 'field_type', 'pattern', 'min_length', 'max_length', 'choices', 'help_text'];
+const PAYMENT_METHOD_FIELDS = ['number', 'label', 'details'];
+
+// Envuelve los manejadores async para responder los errores como JSON
+const panelRoute = handler => async (req, res) => {
+  try {
+    const result = await handler(req, res);
+    if (!res.headersSent) res.json(result ?? { ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+panel.get('/status', panelRoute(async () => ({
+  connection: connectionStatus,
+  qr_pending: !!latestQR,
+  user: sock?.user?.id || null
+})));
+
+panel.get('/games', panelRoute(async () => {
+  const games = await getGames();
+  return Promise.all(games.map(async game => ({
+    ...game,
+    offers: await getOffersByGameId(game.id),
+    fields: await getGameFields(game.id)
+  })));
+}));
+panel.post('/games', panelRoute(async req => {
+  const { number, name, description } = req.body;
+  await createGame(Number(number), name, description || '');
+}));
+panel.patch('/games/:id', panelRoute(async req => {
+  await updateGame(Number(req.params.id), pickFields(req.body, GAME_FIELDS));
+}));
+panel.delete('/games/:id', panelRoute(async req => {
+  await deleteGame(Number(req.params.id));
+}));
+
+panel.post('/games/:id/offers', panelRoute(async (req, res) => {
+  const gameId = Number(req.params.id);
+  const input = parseOfferInput(req.body);
+  if (input.error) return res.status(400).json({ error: input.error });
+  const { number, description, price_mobile, price_card, price_usd } = input.values;
+  if (await getOfferByGameAndNumber(gameId, number)) return res.status(400).json({ error: `Ya existe la oferta ${number} en este juego` });
+  await createOffer(gameId, number, description, price_mobile, price_card, price_usd);
+  await recalculateAutoPrices();
+}));
+panel.patch('/offers/:id', panelRoute(async (req, res) => {
+  const current = await getOfferById(Number(req.params.id));
+  if (!current) return res.status(404).json({ error: 'Oferta no encontrada' });
+  const input = parseOfferInput(req.body, true);
+  if (input.error) return res.status(400).json({ error: input.error });
+  const { number } = input.values;
+  if (number !== undefined && number !== current.number && (await getOfferByGameAndNumber(current.game_id, number))) {
+    return res.status(400).json({ error: `Ya existe la oferta ${number} en este juego` });
+  }
+  await updateOffer(current.id, { ...pickFields(req.body, OFFER_FIELDS), ...input.values });
+  const offer = await getOfferById(current.id);
+  if (offer?.auto_price) await recalculateAutoPrices();
+}));
+panel.delete('/offers/:id', panelRoute(async req => {
+  await deleteOffer(Number(req.params.id));
+}));
+
+// Los campos se crean con la misma sintaxis que "/campos agregar"
+panel.post('/games/:id/fields', panelRoute(async (req, res) => {
+  const definition = parseFieldDefinition(req.body.definition || '');
+  if (definition.error) return res.status(400).json({ error: definition.error });
+  const gameId = Number(req.params.id);
+  const fields = await getGameFields(gameId);
+  const { required, ...options } = definition.options;
+  await createGameField(gameId, definition.name, fields.length + 1, required, options);
+}));
+panel.patch('/fields/:id', panelRoute(async req => {
+  await updateGameField(Number(req.params.id), pickFields(req.body, GAME_FIELD_FIELDS));
+}));
+panel.delete('/games/:id/fields/:name', panelRoute(async req => {
+  await deleteGameField(Number(req.params.id), req.params.name);
+}));
+
+panel.get('/payment-methods', panelRoute(() => getPaymentMethods()));
+panel.post('/payment-methods', panelRoute(async (req, res) => {
+  const { type, number, label, details } = req.body;
+  if (!['card', 'mobile'].includes(type)) return res.status(400).json({ error: 'Tipo debe ser card o mobile' });
+  await createPaymentMethod(type, Number(number), label, details || {});
+}));
+panel.patch('/payment-methods/:id', panelRoute(async req => {
+  await updatePaymentMethod(Number(req.params.id), pickFields(req.body, PAYMENT_METHOD_FIELDS));
+}));
+panel.delete('/payment-methods/:id', panelRoute(async req => {
+  await deletePaymentMethod(Number(req.params.id));
+}));
+
+panel.get('/requests', panelRoute(async () => (await getOpenRequests(0, 100)).requests));
+panel.post('/requests/:id/:action', panelRoute(async (req, res) => {
+  const status = { complete: 'completed', reject: 'rejected', processing: 'processing' }[req.params.action];
+  if (!status) return res.status(404).json({ error: 'Acción desconocida' });
+  if (!sock) return res.status(503).json({ error: 'WhatsApp no está conectado' });
+  const result = await changeRequestStatus(req.params.id, status, req.body.reason || null);
+  if (result.error) return res.status(result.code === 'not_found' ? 404 : 409).json({ code: result.code, error: result.error });
+  return { ok: true, sold_out: result.soldOut };
+}));
+
+app.use('/panel/api', panel);
+
+// ========== API REST ==========
+// Claves con permisos: catalogo (lectura del catálogo), pedidos (crear y consultar
+// solicitudes) y estados (cambiar el estado). Se gestionan con /apikey.
+const API_SCOPES = {
+  catalogo: 'leer juegos y ofertas',
+  pedidos: 'crear y consultar solicitudes',
+  estados: 'cambiar el estado de solicitudes'
+};
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function requireApiKey(scope) {
+  return async (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const key = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-api-key');
+    if (!key) return res.status(401).json({ error: 'Falta la clave de API' });
+    try {
+      const apiKey = await getApiKeyByHash(hashApiKey(key));
+      if (!apiKey) return res.status(401).json({ error: 'Clave de API inválida o revocada' });
+      if (!(apiKey.scopes || []).includes(scope)) return res.status(403).json({ error: `La clave no tiene el permiso "${scope}"` });
+      req.apiKey = apiKey;
+      updateApiKey(apiKey.id, { last_used_at: new Date().toISOString() }).catch(() => {});
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+function apiRequest(request) {
+  return {
+    id: request.id,
+    phone: `+${request.user_jid.split('@')[0]}`,
+    game_name: request.game_name,
+    offer_desc: request.offer_desc,
+    items: requestItems(request),
+    payment_type: request.payment_type,
+    amount: request.amount,
+    amount_usd: request.amount_usd,
+    status: request.status,
+    status_reason: request.status_reason || null,
+    promo_code: request.promo_code || null,
+    discount: request.discount ?? null,
+    discount_usd: request.discount_usd ?? null,
+    fulfillment: request.fulfillment?.status || null,
+    created_at: request.created_at,
+    completed_at: request.completed_at || null
+  };
+}
+
+// Origen guardado en las solicitudes creadas por una clave. Va por id y no por nombre:
+// los nombres se pueden repetir y una clave revocada no debe pasar sus pedidos a otra.
+function apiRequestSource(apiKey) {
+  return `api:${apiKey.id}`;
+}
+
+// Cada clave solo ve y gestiona las solicitudes que creó ella
+function ownsRequest(apiKey, request) {
+  return !!request && request.source === apiRequestSource(apiKey);
+}
+
+const api = express.Router();
+api.use(express.json());
+
+api.get('/games', requireApiKey('catalogo'), panelRoute(async () => {
+  const games = await getGames();
+  return games.filter(g => !isPaused(g)).map(g => ({
+    number: g.number,
+    name: g.name,
+    description: g.description,
+    available: isAvailable(g)
+  }));
+}));
+
+api.get('/games/:number/offers', requireApiKey('catalogo'), panelRoute(async (req, res) => {
+  const game = await getGameByNumber(Number(req.params.number));
+  if (!game || isPaused(game)) return res.status(404).json({ error: 'Juego no encontrado' });
+  const offers = await getOffersByGameId(game.id);
+  return offers.filter(o => !isPaused(o)).map(o => ({
+    number: o.number,
+    description: o.description,
+    price_card: o.price_card,
+    price_mobile: o.price_mobile,
+    price_usd: o.price_usd,
+    stock: o.stock ?? null,
+    available: isAvailable(o) && isAvailable(game)
+  }));
+}));
+
+// Cuerpo: { phone, game_number, offers: [{ number, quantity }], field_values, payment: { type, number }, promo_code }
+api.post('/requests', requireApiKey('pedidos'), panelRoute(async (req, res) => {
+  const body = req.body || {};
+  const fail = (status, error) => res.status(status).json({ error });
+  if (!sock) return fail(503, 'WhatsApp no está conectado');
+  const digits = String(body.phone || '').replace(/[^0-9]/g, '');
+  if (digits.length < 8) return fail(400, 'Teléfono inválido');
+  const game = await getGameByNumber(Number(body.game_number));
+  if (!game) return fail(404, 'Juego no encontrado');
+  if (!Array.isArray(body.offers) || body.offers.length === 0) return fail(400, 'Indica al menos una oferta');
+
+  // Las líneas repetidas de una misma oferta se suman antes de comprobar el máximo
+  const selection = [];
+  for (const entry of body.offers) {
+    if (!entry || typeof entry !== 'object') return fail(400, 'Cada oferta debe ser un objeto { number, quantity }');
+    const number = Number(entry.number);
+    const quantity = entry.quantity ?? 1;
+    if (!Number.isInteger(number) || number < 1) return fail(400, `Número de oferta inválido: ${entry.number}`);
+    if (!Number.isInteger(quantity) || quantity < 1) return fail(400, `Cantidad inválida para la oferta ${number} (1-${MAX_OFFER_QUANTITY})`);
+    const existing = selection.find(s => s.number === number);
+    if (existing) existing.quantity += quantity;
+    else selection.push({ number, quantity });
+  }
+  const offers = [];
+  for (const { number, quantity } of selection) {
+    if (quantity > MAX_OFFER_QUANTITY) return fail(400, `Cantidad inválida para la oferta ${number} (1-${MAX_OFFER_QUANTITY})`);
+    const offer = await getOfferByGameAndNumber(game.id, number);
+    if (!offer) return fail(404, `Oferta ${number} no encontrada`);
+    offers.push({ offer_id: offer.id, quantity });
+  }
+
+  const fieldValues = {};
+  for (const field of await getGameFields(game.id)) {
+    const raw = body.field_values?.[field.field_name];
+    if (raw === undefined || raw === null || raw === '') {
+      if (field.required !== false) return fail(400, `Falta el campo "${field.field_name}"`);
+      continue;
+    }
+    const result = validateFieldValue(field, String(raw));
+    if (result.error) return fail(400, `${field.field_name}: ${result.error.replace(/^❌ /, '')}`);
+    fieldValues[field.field_name] = result.value;
+  }
+
+  let method = null;
+  if (body.payment) {
+    method = await getPaymentMethodByNumber(body.payment.type, Number(body.payment.number));
+    if (!method) return fail(404, 'Método de pago no encontrado');
+  }
+
+  const cart = [{ game_id: game.id, game_number: game.number, game_name: game.name, offers, field_values: fieldValues }];
+  const unavailable = await findUnavailableItems(cart);
+  if (unavailable.length > 0) return fail(409, `Sin disponibilidad: ${unavailable.join(', ')}`);
+
+  let promoCode = null;
+  if (body.promo_code) {
+    const promo = await getPromoCode(String(body.promo_code));
+    const problem = promoProblem(promo, await buildCartItems(cart));
+    if (problem) return fail(400, `El código ${body.promo_code} ${problem}`);
+    promoCode = promo.code;
+  }
+
+  const requestId = await sendRequestToAdmin(normalizeJid(digits), cart, method, req.apiKey, promoCode);
+  if (!requestId) return fail(409, 'No se pudo crear la solicitud');
+  res.status(201).json(apiRequest(await getRequest(requestId)));
+}));
+
+api.get('/requests/:id', requireApiKey('pedidos'), panelRoute(async (req, res) => {
+  const request = await getRequest(req.params.id);
+  if (!ownsRequest(req.apiKey, request)) return res.status(404).json({ error: 'Solicitud no encontrada' });
+  return apiRequest(request);
+}));
+
+// Cuerpo: { status, reason }. El cliente recibe el aviso por WhatsApp como con los comandos.
+api.patch('/requests/:id', requireApiKey('estados'), panelRoute(async (req, res) => {
+  const { status, reason } = req.body || {};
+  if (!REQUEST_STATUS_LABELS[status]) {
+    return res.status(400).json({ error: `Estado inválido. Usa: ${Object.keys(REQUEST_STATUS_LABELS).join(', ')}` });
+  }
+  if (!sock) return res.status(503).json({ error: 'WhatsApp no está conectado' });
+  if (!ownsRequest(req.apiKey, await getRequest(req.params.id))) {
+    return res.status(404).json({ code: 'not_found', error: 'Solicitud no encontrada' });
+  }
+  const result = await changeRequestStatus(req.params.id, status, reason || null);
+  if (result.error) return res.status(result.code === 'not_found' ? 404 : 409).json({ code: result.code, error: result.error });
+  return apiRequest(await getRequest(req.params.id));
+}));
+
+app.use('/api', api);
+
 app.listen(PORT, () => console.log(`🌐 Servidor web en puerto ${PORT}`));
 
 // Manejo de cierre
@@ -1263,3 +5129,23 @@ process.on('SIGINT', () => { console.log('Cerrando...'); process.exit(0); });
 process.on('SIGTERM', () => { console.log('Cerrando...'); process.exit(0); });
 
 startBot().catch(console.error);
+
+// Expirar solicitudes sin captura de pago
+setInterval(() => {
+  expireStaleRequests().catch(err => console.error('Error expirando solicitudes:', err.message));
+}, 15 * 60 * 1000);
+
+// Reintentos de webhooks fallidos
+setInterval(() => {
+  retryWebhookDeliveries().catch(err => console.error('Error reintentando webhooks:', err.message));
+}, 60 * 1000);
+
+// Estado de los pedidos en curso en los proveedores
+setInterval(() => {
+  pollFulfillments().catch(err => console.error('Error consultando proveedores:', err.message));
+}, 60 * 1000);
+
+// Resumen de solicitudes en cola al abrir la tienda
+setInterval(() => {
+  sendQueuedDigest().catch(err => console.error('Error enviando resumen de apertura:', err.message));
+}, 60 * 1000);